@@ -1,5 +1,12 @@
 const { OpCodes, ByteCode } = require('./opcodes');
 
+/**
+ * 自己认领标签的语句类型（带标签的continue只能指向循环）
+ */
+const LABELABLE_TYPES = new Set([
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement', 'SwitchStatement'
+]);
+
 /**
  * 基于Babel AST的编译器
  * 直接处理Babel原生AST节点，无需转换
@@ -7,23 +14,28 @@ const { OpCodes, ByteCode } = require('./opcodes');
 class Compiler {
     constructor() {
         this.bytecode = null;
-        this.scopes = [new Map()]; // 作用域栈
+        this.scopes = [this.createScope('function')]; // 作用域栈
         this.currentScope = 0;
-        this.labels = new Map(); // 标签映射
+        this.blockDepth = 0; // 当前函数内运行时块级作用域（ENTER_BLOCK）的嵌套深度
         this.breaks = []; // break跳转地址栈
         this.continues = []; // continue跳转地址栈
-        this.loopStack = []; // 循环栈，用于break和continue
-        this.switchStack = []; // switch栈，用于break
+        this.controlStack = []; // 循环/switch/带标签语句的上下文栈，用于break和continue
+        this.pendingLabels = null; // 等待被循环或switch认领的标签 { node, labels }
+        this.tryStack = []; // try栈，用于在return/break/continue时卸载处理器并执行finally
+        this.classFields = null; // 当前派生类构造函数中待super()之后初始化的实例字段
         this.sourceCode = ''; // 原始源码
         this.enableDebugSymbols = true; // 是否启用调试符号
     }
 
     compile(ast, sourceCode = '') {
         this.bytecode = new ByteCode();
-        this.scopes = [new Map()];
+        this.scopes = [this.createScope('function')];
         this.currentScope = 0;
-        this.loopStack = [];
-        this.switchStack = [];
+        this.blockDepth = 0;
+        this.controlStack = [];
+        this.pendingLabels = null;
+        this.tryStack = [];
+        this.classFields = null;
         this.sourceCode = sourceCode;
         
         // 设置源码到字节码中
@@ -55,12 +67,16 @@ class Compiler {
             case 'DoWhileStatement': this.compileDoWhileStatement(node); break;
             case 'ForStatement': this.compileForStatement(node); break;
             case 'ForInStatement': this.compileForInStatement(node); break;
+            case 'ForOfStatement': this.compileForOfStatement(node); break;
             case 'SwitchStatement': this.compileSwitchStatement(node); break;
             case 'BreakStatement': this.compileBreakStatement(node); break;
+            case 'LabeledStatement': this.compileLabeledStatement(node); break;
             case 'ContinueStatement': this.compileContinueStatement(node); break;
             case 'ThrowStatement': this.compileThrowStatement(node); break;
             case 'TryStatement': this.compileTryStatement(node); break;
             case 'DebuggerStatement': this.compileDebuggerStatement(node); break;
+            case 'EmptyStatement': break;
+            case 'ClassDeclaration': this.compileClassDeclaration(node); break;
 
             case 'Literal':
             case 'NumericLiteral':
@@ -69,8 +85,10 @@ class Compiler {
             case 'NullLiteral': this.compileLiteral(node); break;
             case 'RegExpLiteral': this.compileRegExpLiteral(node); break;
             case 'TemplateLiteral': this.compileTemplateLiteral(node); break;
+            case 'TaggedTemplateExpression': this.compileTaggedTemplateExpression(node); break;
             case 'Identifier': this.compileIdentifier(node); break;
             case 'ThisExpression': this.compileThisExpression(node); break;
+            case 'MetaProperty': this.compileMetaProperty(node); break;
             case 'BinaryExpression': this.compileBinaryExpression(node); break;
             case 'LogicalExpression': this.compileLogicalExpression(node); break;
             case 'UnaryExpression': this.compileUnaryExpression(node); break;
@@ -81,9 +99,15 @@ class Compiler {
             case 'CallExpression': this.compileCallExpression(node); break;
             case 'NewExpression': this.compileNewExpression(node); break;
             case 'MemberExpression': this.compileMemberExpression(node); break;
+            case 'OptionalMemberExpression':
+            case 'OptionalCallExpression': this.compileOptionalChain(node); break;
             case 'ArrayExpression': this.compileArrayExpression(node); break;
             case 'ObjectExpression': this.compileObjectExpression(node); break;
             case 'FunctionExpression': this.compileFunctionExpression(node); break;
+            case 'ArrowFunctionExpression': this.compileArrowFunctionExpression(node); break;
+            case 'ClassExpression': this.compileClassExpression(node); break;
+            case 'YieldExpression': this.compileYieldExpression(node); break;
+            case 'AwaitExpression': this.compileAwaitExpression(node); break;
 
             default:
                 throw new Error(`未支持的节点类型: ${node.type}`);
@@ -92,13 +116,20 @@ class Compiler {
 
     // 程序和基础节点
     compileProgram(node) {
-        for (let i = 0; i < node.body.length; i++) {
-            const statement = node.body[i];
+        this.hoistVarDeclarations(node.body);
+        // 顶层let/const放在全局环境之上的块级作用域中，声明之前处于暂时性死区，也不会成为全局this的属性
+        const blockEntered = this.enterBlockScope(this.collectLexicalNames(node.body));
+        this.hoistFunctionDeclarations(node.body);
+        // 函数声明已提升，不影响程序的结果值
+        const statements = node.body.filter(statement => statement.type !== 'FunctionDeclaration');
+        for (let i = 0; i < statements.length; i++) {
+            const statement = statements[i];
             this.compileNode(statement);
-            if (i < node.body.length - 1 && statement.type === 'ExpressionStatement') {
+            if (i < statements.length - 1 && statement.type === 'ExpressionStatement') {
                 this.bytecode.addInstruction(OpCodes.POP);
             }
         }
+        this.exitBlockScope(blockEntered);
     }
 
     compileExpressionStatement(node) {
@@ -107,8 +138,11 @@ class Compiler {
 
     compileBlockStatement(node) {
         this.enterScope();
+        const blockEntered = this.enterBlockScope(this.collectLexicalNames(node.body));
+        this.hoistFunctionDeclarations(node.body);
         for (let i = 0; i < node.body.length; i++) {
             const statement = node.body[i];
+            if (statement.type === 'FunctionDeclaration') continue;
             this.compileNode(statement);
             // 在块语句中，除了最后一个表达式语句，所有表达式语句都需要清理栈上的返回值
             if (statement.type === 'ExpressionStatement') {
@@ -127,19 +161,25 @@ class Compiler {
                 }
             }
         }
+        this.exitBlockScope(blockEntered);
         this.exitScope();
     }
 
     // 字面量
     compileLiteral(node) {
-        const constantIndex = this.bytecode.addConstant(node.value);
+        // Babel的NullLiteral节点没有value属性
+        const value = node.type === 'NullLiteral' ? null : node.value;
+        const constantIndex = this.bytecode.addConstant(value);
         this.addInstruction(OpCodes.PUSH, constantIndex, node);
     }
 
+    /**
+     * 编译正则表达式字面量：常量池只保存模式和标志，每次求值由NEW_REGEXP创建新的对象，
+     * lastIndex不会在多次求值或多次执行之间共享
+     */
     compileRegExpLiteral(node) {
-        const regexpObj = new RegExp(node.pattern, node.flags);
-        const constantIndex = this.bytecode.addConstant(regexpObj);
-        this.addInstruction(OpCodes.PUSH, constantIndex, node);
+        const constantIndex = this.bytecode.addConstant({ pattern: node.pattern, flags: node.flags });
+        this.addInstruction(OpCodes.NEW_REGEXP, constantIndex, node);
     }
 
     compileTemplateLiteral(node) {
@@ -187,6 +227,16 @@ class Compiler {
         this.addInstruction(OpCodes.LOAD, thisIndex, node);
     }
 
+    /**
+     * 编译new.target：与this一样是函数栈帧中的局部变量，箭头函数沿环境链取外层函数的值
+     */
+    compileMetaProperty(node) {
+        if (node.meta.name !== 'new' || node.property.name !== 'target') {
+            throw new Error(`未支持的元属性: ${node.meta.name}.${node.property.name}`);
+        }
+        this.addInstruction(OpCodes.LOAD, this.bytecode.addConstant('new.target'), node);
+    }
+
     // 表达式
     compileBinaryExpression(node) {
         this.compileNode(node.left);
@@ -194,8 +244,10 @@ class Compiler {
         
         const ops = {
             '+': OpCodes.ADD, '-': OpCodes.SUB, '*': OpCodes.MUL, '/': OpCodes.DIV, '%': OpCodes.MOD,
-            '==': OpCodes.EQ, '===': OpCodes.EQ, '!=': OpCodes.NE, '!==': OpCodes.NE,
+            '**': OpCodes.EXP,
+            '==': OpCodes.LOOSE_EQ, '===': OpCodes.EQ, '!=': OpCodes.LOOSE_NE, '!==': OpCodes.NE,
             '<': OpCodes.LT, '<=': OpCodes.LE, '>': OpCodes.GT, '>=': OpCodes.GE,
+            'in': OpCodes.IN, 'instanceof': OpCodes.INSTANCEOF,
             '<<': OpCodes.SHL, '>>': OpCodes.SHR, '>>>': OpCodes.USHR,
             '&': OpCodes.BIT_AND, '|': OpCodes.BIT_OR, '^': OpCodes.BIT_XOR
         };
@@ -224,12 +276,24 @@ class Compiler {
             this.bytecode.addInstruction(OpCodes.POP);
             this.compileNode(node.right);
             this.patchInstruction(skipJump, this.getCurrentAddress());
+        } else if (node.operator === '??') {
+            // 左侧不是null/undefined时短路，保留左侧的值
+            this.bytecode.addInstruction(OpCodes.DUP);
+            const skipJump = this.getCurrentAddress();
+            this.bytecode.addInstruction(OpCodes.JNN, 0);
+            this.bytecode.addInstruction(OpCodes.POP);
+            this.compileNode(node.right);
+            this.patchInstruction(skipJump, this.getCurrentAddress());
         } else {
             throw new Error(`未支持的逻辑运算符: ${node.operator}`);
         }
     }
 
     compileUnaryExpression(node) {
+        if (node.operator === 'delete') {
+            this.compileDeleteExpression(node);
+            return;
+        }
         this.compileNode(node.argument);
         
         const ops = {
@@ -242,15 +306,51 @@ class Compiler {
             this.bytecode.addInstruction(OpCodes.POP);
             const undefinedIndex = this.bytecode.addConstant(undefined);
             this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
-        } else if (node.operator === 'delete') {
-            this.bytecode.addInstruction(OpCodes.POP);
-            const trueIndex = this.bytecode.addConstant(true);
-            this.bytecode.addInstruction(OpCodes.PUSH, trueIndex);
         } else {
             throw new Error(`未支持的一元运算符: ${node.operator}`);
         }
     }
 
+    /**
+     * 编译delete运算符：成员表达式删除属性（可选链短路时结果为true），
+     * 未限定的标识符删除未声明而隐式创建的全局变量，其他表达式求值后结果为true
+     */
+    compileDeleteExpression(node) {
+        const target = node.argument;
+        if (target.type === 'MemberExpression' && target.object.type !== 'Super') {
+            this.compileNode(target.object);
+            if (target.computed) {
+                this.compileNode(target.property);
+            } else {
+                this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(target.property.name));
+            }
+            this.addInstruction(OpCodes.DELETE_PROP, null, node);
+        } else if (target.type === 'OptionalMemberExpression') {
+            // 可选链短路时不删除任何属性，以true代替短路得到的undefined
+            const shortCircuitJumps = [];
+            this.compileChainObject(target.object, shortCircuitJumps);
+            if (target.optional) {
+                this.emitOptionalCheck(1, shortCircuitJumps);
+            }
+            this.compilePropertyKey(target.property, target.computed);
+            this.addInstruction(OpCodes.DELETE_PROP, null, node);
+            const endJump = this.getCurrentAddress();
+            this.bytecode.addInstruction(OpCodes.JMP, 0);
+            for (const jump of shortCircuitJumps) {
+                this.patchInstruction(jump, this.getCurrentAddress());
+            }
+            this.bytecode.addInstruction(OpCodes.POP);
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(true));
+            this.patchInstruction(endJump, this.getCurrentAddress());
+        } else if (target.type === 'Identifier') {
+            this.addInstruction(OpCodes.DELETE_PROP, this.bytecode.addConstant(target.name), node);
+        } else {
+            this.compileNode(target);
+            this.bytecode.addInstruction(OpCodes.POP);
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(true));
+        }
+    }
+
     compileUpdateExpression(node) {
         if (node.argument.type === 'Identifier') {
             const varName = node.argument.name;
@@ -338,6 +438,7 @@ class Compiler {
                 // 执行二元运算
                 const ops = {
                     '+': OpCodes.ADD, '-': OpCodes.SUB, '*': OpCodes.MUL, '/': OpCodes.DIV, '%': OpCodes.MOD,
+                    '**': OpCodes.EXP,
                     '<<': OpCodes.SHL, '>>': OpCodes.SHR, '>>>': OpCodes.USHR,
                     '&': OpCodes.BIT_AND, '|': OpCodes.BIT_OR, '^': OpCodes.BIT_XOR
                 };
@@ -364,6 +465,7 @@ class Compiler {
                 // 执行二元运算
                 const ops = {
                     '+': OpCodes.ADD, '-': OpCodes.SUB, '*': OpCodes.MUL, '/': OpCodes.DIV, '%': OpCodes.MOD,
+                    '**': OpCodes.EXP,
                     '<<': OpCodes.SHL, '>>': OpCodes.SHR, '>>>': OpCodes.USHR,
                     '&': OpCodes.BIT_AND, '|': OpCodes.BIT_OR, '^': OpCodes.BIT_XOR
                 };
@@ -390,7 +492,11 @@ class Compiler {
             }
         } else {
             // 简单赋值 =
-            this.compileNode(node.right);
+            if (node.left.type === 'Identifier') {
+                this.compileNamedValue(node.right, node.left.name);
+            } else {
+                this.compileNode(node.right);
+            }
             
             if (node.left.type === 'Identifier') {
                 const varName = node.left.name;
@@ -408,6 +514,10 @@ class Compiler {
                     this.bytecode.addInstruction(OpCodes.PUSH, propIndex);
                     this.bytecode.addInstruction(OpCodes.SET_PROP);
                 }
+            } else if (node.left.type === 'ObjectPattern' || node.left.type === 'ArrayPattern') {
+                // 解构赋值表达式的值是右侧的值
+                this.bytecode.addInstruction(OpCodes.DUP);
+                this.compilePattern(node.left, 'assign');
             } else {
                 throw new Error(`不支持的赋值目标类型: ${node.left.type}`);
             }
@@ -436,38 +546,116 @@ class Compiler {
     }
 
     compileCallExpression(node) {
-        for (let i = node.arguments.length - 1; i >= 0; i--) {
-            this.compileNode(node.arguments[i]);
+        if (node.callee.type === 'Super') {
+            this.compileArrayElements(node.arguments);
+            this.addInstruction(OpCodes.SUPER_CALL, null, node);
+            // 派生类的实例字段在super()返回后初始化
+            this.compileFieldInitializers(this.classFields);
+            return;
         }
         
-        if (node.callee.type === 'MemberExpression') {
-            this.compileNode(node.callee.object);
+        const spread = this.compileArguments(node.arguments);
+        this.compileCallee(node.callee, spread, node.arguments.length, node);
+    }
+
+    /**
+     * 编译被调用者并生成调用指令，成员表达式作为方法调用（以对象为this）
+     * @param {object} callee - 被调用者节点
+     * @param {boolean} spread - 实参是否为数组
+     * @param {number} argCount - 实参个数
+     * @param {object} node - 调用节点
+     */
+    compileCallee(callee, spread, argCount, node) {
+        if (callee.type === 'MemberExpression' && callee.object.type === 'Super') {
+            // super.method()：方法从父类原型上查找，this仍是当前对象
+            this.compileThisExpression(callee.object);
+            this.compilePropertyKey(callee.property, callee.computed);
+            this.addInstruction(OpCodes.GET_SUPER, null, callee);
+            this.emitCall(true, spread, argCount, node);
+        } else if (callee.type === 'MemberExpression') {
+            this.compileNode(callee.object);
             this.bytecode.addInstruction(OpCodes.DUP);
-            
-            if (node.callee.computed) {
-                this.compileNode(node.callee.property);
+
+            if (callee.computed) {
+                this.compileNode(callee.property);
             } else {
-                const propIndex = this.bytecode.addConstant(node.callee.property.name);
+                const propIndex = this.bytecode.addConstant(callee.property.name);
                 this.bytecode.addInstruction(OpCodes.PUSH, propIndex);
             }
-            
+
             this.bytecode.addInstruction(OpCodes.GET_PROP);
-            this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(node.arguments.length));
+            this.emitCall(true, spread, argCount, node);
         } else {
-            this.compileNode(node.callee);
-            this.bytecode.addInstruction(OpCodes.CALL, this.bytecode.addConstant(node.arguments.length));
+            this.compileNode(callee);
+            this.emitCall(false, spread, argCount, node);
         }
     }
 
-    compileNewExpression(node) {
-        for (let i = node.arguments.length - 1; i >= 0; i--) {
-            this.compileNode(node.arguments[i]);
+    /**
+     * 编译标签模板 tag`a${x}b`：以字符串数组和各个替换值为实参调用标签函数
+     * 字符串数组由TEMPLATE_OBJECT按调用位置缓存，同一位置每次求值得到同一个冻结数组
+     */
+    compileTaggedTemplateExpression(node) {
+        const { quasis, expressions } = node.quasi;
+        for (let i = expressions.length - 1; i >= 0; i--) {
+            this.compileNode(expressions[i]);
+        }
+        // 非法转义序列的cooked为null，在标签模板中对应undefined
+        const strings = {
+            cooked: quasis.map(quasi => quasi.value.cooked),
+            raw: quasis.map(quasi => quasi.value.raw)
+        };
+        this.addInstruction(OpCodes.TEMPLATE_OBJECT, this.bytecode.addConstant(strings), node.quasi);
+        this.compileCallee(node.tag, false, expressions.length + 1, node);
+    }
+
+    /**
+     * 编译调用实参：没有展开时按从右到左的顺序逐个压栈，含展开时构建为一个实参数组
+     * @param {Array} args - 实参节点
+     * @returns {boolean} 是否构建了实参数组
+     */
+    compileArguments(args) {
+        if (args.some(arg => arg.type === 'SpreadElement')) {
+            this.compileArrayElements(args);
+            return true;
+        }
+        for (let i = args.length - 1; i >= 0; i--) {
+            this.compileNode(args[i]);
+        }
+        return false;
+    }
+
+    /**
+     * 生成调用指令，实参已由compileArguments压栈
+     * @param {boolean} isMethod - 是否为方法调用（栈上有this）
+     * @param {boolean} spread - 实参是否为数组
+     * @param {number} argCount - 实参个数
+     * @param {object} node - 调用节点
+     */
+    emitCall(isMethod, spread, argCount, node) {
+        if (spread) {
+            this.addInstruction(isMethod ? OpCodes.CALL_METHOD_SPREAD : OpCodes.CALL_SPREAD, null, node);
+        } else {
+            this.addInstruction(isMethod ? OpCodes.CALL_METHOD : OpCodes.CALL, this.bytecode.addConstant(argCount), node);
         }
+    }
+
+    compileNewExpression(node) {
+        const spread = this.compileArguments(node.arguments);
         this.compileNode(node.callee);
-        this.bytecode.addInstruction(OpCodes.NEW, this.bytecode.addConstant(node.arguments.length));
+        if (spread) {
+            this.addInstruction(OpCodes.NEW_SPREAD, null, node);
+        } else {
+            this.addInstruction(OpCodes.NEW, this.bytecode.addConstant(node.arguments.length), node);
+        }
     }
 
     compileMemberExpression(node) {
+        if (node.object.type === 'Super') {
+            this.compilePropertyKey(node.property, node.computed);
+            this.addInstruction(OpCodes.GET_SUPER, null, node);
+            return;
+        }
         this.compileNode(node.object);
         
         if (node.computed) {
@@ -480,8 +668,125 @@ class Compiler {
         this.bytecode.addInstruction(OpCodes.GET_PROP);
     }
 
+    /**
+     * 编译可选链（a?.b、a?.[k]、f?.()），由链最外层的节点进入
+     * 链上任一可选环节的对象为null/undefined时，整个链短路为undefined
+     */
+    compileOptionalChain(node) {
+        const endJumps = [];
+        this.compileChainElement(node, endJumps);
+        for (const jump of endJumps) {
+            this.patchInstruction(jump, this.getCurrentAddress());
+        }
+    }
+
+    /**
+     * 编译可选链中的一个环节
+     * 可选调用先求值被调函数并检查，再求值实参，最后用ROLL把this和函数移回栈顶，仍使用CALL/CALL_METHOD
+     * @param {object} node - OptionalMemberExpression / OptionalCallExpression
+     * @param {number[]} endJumps - 短路跳转指令地址，指向链的末尾
+     */
+    compileChainElement(node, endJumps) {
+        if (node.type === 'OptionalMemberExpression') {
+            this.compileChainObject(node.object, endJumps);
+            if (node.optional) {
+                this.emitOptionalCheck(1, endJumps);
+            }
+            this.compilePropertyKey(node.property, node.computed);
+            this.addInstruction(OpCodes.GET_PROP, null, node);
+            return;
+        }
+        
+        const callee = node.callee;
+        const isMethodCall = callee.type === 'OptionalMemberExpression' || callee.type === 'MemberExpression';
+        if (isMethodCall) {
+            this.compileChainObject(callee.object, endJumps);
+            if (callee.optional) {
+                this.emitOptionalCheck(1, endJumps);
+            }
+            this.bytecode.addInstruction(OpCodes.DUP);
+            this.compilePropertyKey(callee.property, callee.computed);
+            this.addInstruction(OpCodes.GET_PROP, null, callee);
+        } else {
+            this.compileChainObject(callee, endJumps);
+        }
+        
+        const calleeSize = isMethodCall ? 2 : 1;
+        if (node.optional) {
+            this.emitOptionalCheck(calleeSize, endJumps);
+        }
+        
+        const argCount = node.arguments.length;
+        const spread = this.compileArguments(node.arguments);
+        const argSlots = spread ? 1 : argCount;
+        if (argSlots > 0) {
+            for (let i = 0; i < calleeSize; i++) {
+                this.bytecode.addInstruction(OpCodes.ROLL, argSlots + calleeSize - 1);
+            }
+        }
+        this.emitCall(isMethodCall, spread, argCount, node);
+    }
+
+    /**
+     * 编译可选链环节的对象部分，对象本身也是可选链时继续沿用同一组短路跳转
+     */
+    compileChainObject(node, endJumps) {
+        if (node.type === 'OptionalMemberExpression' || node.type === 'OptionalCallExpression') {
+            this.compileChainElement(node, endJumps);
+        } else {
+            this.compileNode(node);
+        }
+    }
+
+    /**
+     * 检查栈顶值是否为null/undefined，是则弹出本环节已压栈的值，以undefined结束整个链
+     * @param {number} depth - 本环节在栈上的值个数（栈顶为被检查的值）
+     * @param {number[]} endJumps - 短路跳转指令地址
+     */
+    emitOptionalCheck(depth, endJumps) {
+        this.bytecode.addInstruction(OpCodes.DUP);
+        const continueJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JNN, 0);
+        for (let i = 0; i < depth; i++) {
+            this.bytecode.addInstruction(OpCodes.POP);
+        }
+        this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+        endJumps.push(this.getCurrentAddress());
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        this.patchInstruction(continueJump, this.getCurrentAddress());
+    }
+
     compileArrayExpression(node) {
-        for (const element of node.elements) {
+        this.compileArrayElements(node.elements);
+    }
+
+    /**
+     * 按元素列表构建数组；含展开元素时先创建空数组，再逐个追加元素，展开元素按迭代器协议逐项追加
+     * @param {Array} elements - 元素节点（null为空位）
+     */
+    compileArrayElements(elements) {
+        if (elements.some(element => element && element.type === 'SpreadElement')) {
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(0));
+            this.bytecode.addInstruction(OpCodes.NEW_ARR);
+            for (const element of elements) {
+                if (element && element.type === 'SpreadElement') {
+                    this.compileNode(element.argument);
+                    this.emitGetIterator(element);
+                    this.emitIteratorCollect();
+                    this.bytecode.addInstruction(OpCodes.POP);
+                } else {
+                    if (element) {
+                        this.compileNode(element);
+                    } else {
+                        this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+                    }
+                    this.bytecode.addInstruction(OpCodes.ARRAY_PUSH);
+                }
+            }
+            return;
+        }
+        
+        for (const element of elements) {
             if (element) {
                 this.compileNode(element);
             } else {
@@ -490,21 +795,48 @@ class Compiler {
             }
         }
         
-        const lengthIndex = this.bytecode.addConstant(node.elements.length);
+        const lengthIndex = this.bytecode.addConstant(elements.length);
         this.bytecode.addInstruction(OpCodes.PUSH, lengthIndex);
         this.bytecode.addInstruction(OpCodes.NEW_ARR);
     }
 
+    /**
+     * 编译对象字面量，键和值按源码顺序求值
+     * 只有普通数据属性时由NEW_OBJ一次性创建；含展开、方法、访问器、计算属性键或__proto__时
+     * 先创建空对象，再按源码顺序逐个定义，后面的属性覆盖前面的
+     */
     compileObjectExpression(node) {
-        for (const property of node.properties) {
-            this.compileNode(property.value);
-            
-            if (property.key.type === 'Identifier' && !property.computed) {
-                const keyIndex = this.bytecode.addConstant(property.key.name);
-                this.bytecode.addInstruction(OpCodes.PUSH, keyIndex);
-            } else {
-                this.compileNode(property.key);
+        const isPlainProperty = property => property.type === 'ObjectProperty' && !property.computed &&
+            this.getStaticKeyName(property.key) !== '__proto__';
+        if (!node.properties.every(isPlainProperty)) {
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(0));
+            this.bytecode.addInstruction(OpCodes.NEW_OBJ);
+            for (const property of node.properties) {
+                if (property.type === 'SpreadElement') {
+                    this.compileNode(property.argument);
+                    this.addInstruction(OpCodes.OBJECT_SPREAD, null, property);
+                } else if (property.type === 'ObjectMethod') {
+                    // 方法与访问器是虚拟机函数，通过CALL_METHOD或GET_PROP/SET_PROP获得this
+                    this.compilePropertyKey(property.key, property.computed);
+                    const methodName = property.computed ? null : this.getStaticKeyName(property.key);
+                    this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(property, { name: methodName, flags: { isMethod: true } }));
+                    const descriptor = { kind: property.kind, isStatic: false, literal: true };
+                    this.addInstruction(OpCodes.DEFINE_METHOD, this.bytecode.addConstant(descriptor), property);
+                } else {
+                    // 非计算、非简写的 __proto__: value 设置原型而不是定义属性
+                    const setsPrototype = !property.computed && !property.shorthand &&
+                        this.getStaticKeyName(property.key) === '__proto__';
+                    this.compilePropertyKey(property.key, property.computed);
+                    this.compilePropertyValue(property);
+                    this.addInstruction(OpCodes.DEFINE_PROP, setsPrototype ? 1 : null, property);
+                }
             }
+            return;
+        }
+        
+        for (const property of node.properties) {
+            this.compilePropertyKey(property.key, property.computed);
+            this.compilePropertyValue(property);
         }
         
         const propCountIndex = this.bytecode.addConstant(node.properties.length);
@@ -512,141 +844,752 @@ class Compiler {
         this.bytecode.addInstruction(OpCodes.NEW_OBJ);
     }
 
+    /**
+     * 编译对象字面量属性的值，非计算键的匿名函数以键作为name
+     * @param {object} property - ObjectProperty节点
+     */
+    compilePropertyValue(property) {
+        if (property.computed) {
+            this.compileNode(property.value);
+        } else {
+            this.compileNamedValue(property.value, this.getStaticKeyName(property.key));
+        }
+    }
+
     // 变量和函数
     compileVariableDeclaration(node) {
+        const declareOpcode = this.getDeclareOpcode(node.kind);
         for (const declarator of node.declarations) {
+            if (declarator.id.type !== 'Identifier') {
+                this.compileNode(declarator.init);
+                this.compilePattern(declarator.id, node.kind);
+                continue;
+            }
             const varName = declarator.id.name;
-            this.declareVariable(varName);
+            this.declareVariable(varName, node.kind);
+            
+            // 没有初始值的var已在作用域入口提升，重复声明不改变它的值
+            if (node.kind === 'var' && !declarator.init) continue;
             
             if (declarator.init) {
-                this.compileNode(declarator.init);
+                this.compileNamedValue(declarator.init, varName);
             } else {
                 const undefinedIndex = this.bytecode.addConstant(undefined);
                 this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
             }
             
             const nameIndex = this.bytecode.addConstant(varName);
-            this.bytecode.addInstruction(OpCodes.DECLARE, nameIndex);
+            this.addInstruction(declareOpcode, nameIndex, declarator);
         }
     }
 
-    compileFunctionDeclaration(node) {
-        const funcName = node.id.name;
-        const jumpIndex = this.bytecode.getInstructionCount();
-        this.bytecode.addInstruction(OpCodes.JMP, 0);
-        
-        const functionStartAddress = this.bytecode.getInstructionCount();
-        const funcInfo = {
-            name: funcName,
-            params: node.params.map(p => p.name),
-            startAddress: functionStartAddress,
-            closureScope: this.captureClosure()
-        };
-        
-        this.enterScope();
-        for (const param of node.params) {
-            this.declareVariable(param.name);
-        }
-        this.compileNode(node.body);
-        
-        const undefinedIndex = this.bytecode.addConstant(undefined);
-        this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
-        this.bytecode.addInstruction(OpCodes.RET);
-        this.exitScope();
-        
-        this.bytecode.instructions[jumpIndex].operand = this.bytecode.getInstructionCount();
-        const funcIndex = this.bytecode.addConstant(funcInfo);
-        this.bytecode.addInstruction(OpCodes.PUSH, funcIndex);
-        const nameIndex = this.bytecode.addConstant(funcName);
-        this.bytecode.addInstruction(OpCodes.DECLARE, nameIndex);
+    /**
+     * 获取声明类型对应的声明指令
+     * @param {string} kind - 'var' | 'let' | 'const'
+     * @returns {number} 操作码
+     */
+    getDeclareOpcode(kind) {
+        if (kind === 'const') return OpCodes.DECLARE_CONST;
+        if (kind === 'let') return OpCodes.DECLARE_LET;
+        return OpCodes.DECLARE;
     }
 
-    compileFunctionExpression(node) {
-        const jumpIndex = this.bytecode.getInstructionCount();
-        this.bytecode.addInstruction(OpCodes.JMP, 0);
-        
-        const functionStartAddress = this.bytecode.getInstructionCount();
-        const funcInfo = {
-            name: node.id ? node.id.name : null,
-            params: node.params.map(p => p.name),
-            startAddress: functionStartAddress,
-            closureScope: this.captureClosure()
-        };
-        
-        this.enterScope();
-        if (node.id) this.declareVariable(node.id.name);
-        for (const param of node.params) {
-            this.declareVariable(param.name);
+    /**
+     * 把栈顶的值按模式解构并绑定到目标，消耗栈顶的值
+     * @param {object} pattern - Identifier / MemberExpression / ObjectPattern / ArrayPattern / AssignmentPattern
+     * @param {string} kind - 'var' | 'let' | 'const' 表示声明，'assign' 表示赋值
+     */
+    compilePattern(pattern, kind) {
+        switch (pattern.type) {
+            case 'Identifier':
+                if (kind === 'assign') {
+                    this.addInstruction(OpCodes.STORE, this.bytecode.addConstant(pattern.name), pattern);
+                } else {
+                    this.declareVariable(pattern.name, kind);
+                    this.addInstruction(this.getDeclareOpcode(kind), this.bytecode.addConstant(pattern.name), pattern);
+                }
+                break;
+            case 'MemberExpression':
+                if (kind !== 'assign') {
+                    throw new Error('声明中的解构目标必须是标识符');
+                }
+                this.compileNode(pattern.object);
+                this.compilePropertyKey(pattern.property, pattern.computed);
+                this.addInstruction(OpCodes.SET_PROP, null, pattern);
+                this.bytecode.addInstruction(OpCodes.POP);
+                break;
+            case 'AssignmentPattern':
+                this.compileDefaultValue(pattern.right);
+                this.compilePattern(pattern.left, kind);
+                break;
+            case 'ObjectPattern':
+                this.compileObjectPattern(pattern, kind);
+                break;
+            case 'ArrayPattern':
+                this.compileArrayPattern(pattern, kind);
+                break;
+            default:
+                throw new Error(`未支持的解构目标: ${pattern.type}`);
         }
-        this.compileNode(node.body);
-        
-        const undefinedIndex = this.bytecode.addConstant(undefined);
-        this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
-        this.bytecode.addInstruction(OpCodes.RET);
-        this.exitScope();
-        
-        this.bytecode.instructions[jumpIndex].operand = this.bytecode.getInstructionCount();
-        const funcIndex = this.bytecode.addConstant(funcInfo);
-        this.bytecode.addInstruction(OpCodes.PUSH, funcIndex);
     }
 
-    // 控制流语句
-    compileReturnStatement(node) {
-        if (node.argument) {
-            this.compileNode(node.argument);
-        } else {
-            const undefinedIndex = this.bytecode.addConstant(undefined);
-            this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
-        }
-        this.bytecode.addInstruction(OpCodes.RET);
+    /**
+     * 栈顶的值为undefined时替换为默认值
+     * @param {object} defaultNode - 默认值表达式
+     */
+    compileDefaultValue(defaultNode) {
+        this.bytecode.addInstruction(OpCodes.DUP);
+        this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+        this.bytecode.addInstruction(OpCodes.EQ);
+        const skipJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JNF, 0);
+        this.bytecode.addInstruction(OpCodes.POP);
+        this.compileNode(defaultNode);
+        this.patchInstruction(skipJump, this.getCurrentAddress());
     }
 
-    compileIfStatement(node) {
-        this.compileNode(node.test);
-        const elseJump = this.getCurrentAddress();
-        this.bytecode.addInstruction(OpCodes.JNF, 0);
-        this.compileNode(node.consequent);
+    /**
+     * 对象解构：逐个属性读取并绑定
+     * 含剩余属性时，已读取的键留在源对象之上，最后由OBJECT_REST复制其余属性
+     */
+    compileObjectPattern(pattern, kind) {
+        const rest = pattern.properties.find(property => property.type === 'RestElement');
+        let keyCount = 0;
+        
+        for (const property of pattern.properties) {
+            if (property.type === 'RestElement') continue;
+            if (rest) {
+                // [源, 已读键...] -> [源, 已读键..., 键, 值]
+                this.compilePropertyKey(property.key, property.computed);
+                this.bytecode.addInstruction(OpCodes.DUP);
+                this.bytecode.addInstruction(OpCodes.PICK, keyCount + 2);
+                this.bytecode.addInstruction(OpCodes.ROLL, 1);
+                keyCount++;
+            } else {
+                this.bytecode.addInstruction(OpCodes.DUP);
+                this.compilePropertyKey(property.key, property.computed);
+            }
+            this.addInstruction(OpCodes.GET_PROP, null, property);
+            this.compilePattern(property.value, kind);
+        }
         
-        if (node.alternate) {
-            const endJump = this.getCurrentAddress();
-            this.bytecode.addInstruction(OpCodes.JMP, 0);
-            this.patchInstruction(elseJump, this.getCurrentAddress());
-            this.compileNode(node.alternate);
-            this.patchInstruction(endJump, this.getCurrentAddress());
+        if (rest) {
+            this.addInstruction(OpCodes.OBJECT_REST, keyCount, rest);
+            this.compilePattern(rest.argument, kind);
         } else {
-            this.patchInstruction(elseJump, this.getCurrentAddress());
+            this.bytecode.addInstruction(OpCodes.POP);
         }
     }
 
-    compileWhileStatement(node) {
-        const loopStart = this.getCurrentAddress();
-        const loopContext = { type: 'while', breakTargets: [], continueTargets: [] };
-        this.loopStack.push(loopContext);
-        
-        this.compileNode(node.test);
-        const exitJump = this.getCurrentAddress();
-        this.bytecode.addInstruction(OpCodes.JNF, 0);
-        loopContext.breakTargets.push(exitJump);
-        
-        this.compileNode(node.body);
-        
-        for (const target of loopContext.continueTargets) {
-            this.patchInstruction(target, this.getCurrentAddress());
-        }
-        
-        this.bytecode.addInstruction(OpCodes.JMP, loopStart);
-        
-        for (const target of loopContext.breakTargets) {
-            this.patchInstruction(target, this.getCurrentAddress());
+    /**
+     * 数组解构：按迭代器协议逐个取值，迭代完成后的元素为undefined，剩余元素收集为数组；
+     * 解构结束时迭代器尚未完成则调用其return方法
+     */
+    compileArrayPattern(pattern, kind) {
+        this.emitGetIterator(pattern);
+        for (const element of pattern.elements) {
+            if (element && element.type === 'RestElement') {
+                this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(0));
+                this.bytecode.addInstruction(OpCodes.NEW_ARR);
+                this.bytecode.addInstruction(OpCodes.ROLL, 1);
+                this.emitIteratorCollect();
+                this.bytecode.addInstruction(OpCodes.ROLL, 1);
+                this.compilePattern(element.argument, kind);
+                continue;
+            }
+            const doneJumps = this.emitIteratorStep();
+            const valueJump = this.getCurrentAddress();
+            this.bytecode.addInstruction(OpCodes.JMP, 0);
+            for (const jump of doneJumps) {
+                this.patchInstruction(jump, this.getCurrentAddress());
+            }
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+            this.patchInstruction(valueJump, this.getCurrentAddress());
+            if (element) {
+                this.compilePattern(element, kind);
+            } else {
+                this.bytecode.addInstruction(OpCodes.POP);
+            }
         }
-        
-        this.loopStack.pop();
+        this.emitIteratorClose();
     }
 
-    compileDoWhileStatement(node) {
-        const loopStart = this.getCurrentAddress();
-        const loopContext = { type: 'do-while', breakTargets: [], continueTargets: [] };
-        this.loopStack.push(loopContext);
+    /**
+     * 取得栈顶可迭代对象的迭代记录：[可迭代对象] -> [记录]
+     * @param {object} node - 用于错误定位的节点
+     */
+    emitGetIterator(node) {
+        this.addInstruction(OpCodes.GET_ITER, null, node);
+        this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(0));
+        this.bytecode.addInstruction(OpCodes.ITER_INIT);
+    }
+
+    /**
+     * 迭代一步：[记录] -> [记录, 值]；迭代完成时栈为 [记录] 并跳转
+     * @returns {number[]} 完成时的跳转指令，由调用方回填
+     */
+    emitIteratorStep() {
+        const nextJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.ITER_NEXT, 0);
+        this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(0));
+        const valueJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.ITER_VALUE, 0);
+        return [nextJump, valueJump];
+    }
+
+    /**
+     * 把迭代器剩余的值全部追加到数组：[数组, 记录] -> [数组, 记录]
+     */
+    emitIteratorCollect() {
+        const loopStart = this.getCurrentAddress();
+        const doneJumps = this.emitIteratorStep();
+        this.bytecode.addInstruction(OpCodes.PICK, 2);
+        this.bytecode.addInstruction(OpCodes.ROLL, 1);
+        this.bytecode.addInstruction(OpCodes.ARRAY_PUSH);
+        this.bytecode.addInstruction(OpCodes.POP);
+        this.bytecode.addInstruction(OpCodes.JMP, loopStart);
+        for (const jump of doneJumps) {
+            this.patchInstruction(jump, this.getCurrentAddress());
+        }
+    }
+
+    /**
+     * 结束迭代：[记录] -> []，迭代器尚未完成时调用其return方法
+     */
+    emitIteratorClose() {
+        const closeJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.ITER_CLOSE, 0);
+        this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(0));
+        this.bytecode.addInstruction(OpCodes.POP);
+        this.patchInstruction(closeJump, this.getCurrentAddress());
+    }
+
+    /**
+     * 收集模式中绑定的变量名
+     * @param {object} pattern - 绑定模式
+     * @param {string[]} names - 收集结果
+     * @returns {string[]} 绑定名
+     */
+    collectPatternNames(pattern, names = []) {
+        switch (pattern.type) {
+            case 'Identifier':
+                names.push(pattern.name);
+                break;
+            case 'AssignmentPattern':
+                this.collectPatternNames(pattern.left, names);
+                break;
+            case 'RestElement':
+                this.collectPatternNames(pattern.argument, names);
+                break;
+            case 'ObjectPattern':
+                for (const property of pattern.properties) {
+                    this.collectPatternNames(property.type === 'RestElement' ? property : property.value, names);
+                }
+                break;
+            case 'ArrayPattern':
+                for (const element of pattern.elements) {
+                    if (element) this.collectPatternNames(element, names);
+                }
+                break;
+        }
+        return names;
+    }
+
+    /**
+     * 在函数或程序入口提升var绑定，尚未声明的名字初始化为undefined
+     * @param {Array} statements - 函数体或程序的语句列表
+     */
+    hoistVarDeclarations(statements) {
+        const names = this.collectVarNames(statements);
+        if (names.length === 0) {
+            return;
+        }
+        names.forEach(name => this.declareVariable(name));
+        this.bytecode.addInstruction(OpCodes.DECLARE_VARS, this.bytecode.addConstant(names));
+    }
+
+    /**
+     * 在语句列表所在作用域的入口创建并绑定其中的函数声明，
+     * 编译语句列表时跳过这些声明
+     * @param {Array} statements - 语句列表
+     */
+    hoistFunctionDeclarations(statements) {
+        for (const statement of statements) {
+            if (statement.type === 'FunctionDeclaration') {
+                this.compileFunctionDeclaration(statement);
+            }
+        }
+    }
+
+    /**
+     * 收集语句列表中（不进入嵌套函数和类）以var声明的绑定名，
+     * 块中的函数声明同样在函数作用域中有var绑定
+     * @param {Array} statements - 语句列表
+     * @returns {string[]} 去重后的绑定名
+     */
+    collectVarNames(statements) {
+        const names = [];
+        const visit = node => {
+            if (!node) return;
+            switch (node.type) {
+                case 'VariableDeclaration':
+                    if (node.kind === 'var') {
+                        node.declarations.forEach(declarator => this.collectPatternNames(declarator.id, names));
+                    }
+                    break;
+                case 'FunctionDeclaration':
+                    names.push(node.id.name);
+                    break;
+                case 'BlockStatement':
+                    node.body.forEach(visit);
+                    break;
+                case 'IfStatement':
+                    visit(node.consequent);
+                    visit(node.alternate);
+                    break;
+                case 'ForStatement':
+                    visit(node.init);
+                    visit(node.body);
+                    break;
+                case 'ForInStatement':
+                case 'ForOfStatement':
+                    visit(node.left);
+                    visit(node.body);
+                    break;
+                case 'WhileStatement':
+                case 'DoWhileStatement':
+                case 'LabeledStatement':
+                    visit(node.body);
+                    break;
+                case 'SwitchStatement':
+                    node.cases.forEach(switchCase => switchCase.consequent.forEach(visit));
+                    break;
+                case 'TryStatement':
+                    visit(node.block);
+                    visit(node.handler && node.handler.body);
+                    visit(node.finalizer);
+                    break;
+            }
+        };
+        statements.forEach(visit);
+        return [...new Set(names)];
+    }
+
+    compileFunctionDeclaration(node) {
+        const funcName = node.id.name;
+        this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node));
+        const nameIndex = this.bytecode.addConstant(funcName);
+        this.bytecode.addInstruction(OpCodes.DECLARE, nameIndex);
+    }
+
+    compileFunctionExpression(node) {
+        // 具名函数表达式在函数体内可以通过自己的名字引用自身
+        const flags = node.id ? { bindsOwnName: true } : {};
+        this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node, { flags }));
+    }
+
+    /**
+     * 编译箭头函数
+     * 箭头函数没有自己的this/arguments，由CLOSURE指令在创建时捕获外层的值；
+     * 表达式体直接以表达式的值返回
+     */
+    compileArrowFunctionExpression(node) {
+        this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node, { name: null, isArrow: true }));
+    }
+
+    /**
+     * 编译赋给变量或属性的值：匿名函数、箭头函数和匿名类以目标的名字作为name
+     * @param {object} node - 值的表达式节点
+     * @param {string} name - 赋值目标的名字
+     */
+    compileNamedValue(node, name) {
+        if (node.type === 'ArrowFunctionExpression') {
+            this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node, { name, isArrow: true }));
+        } else if (node.type === 'FunctionExpression' && !node.id) {
+            this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node, { name }));
+        } else if (node.type === 'ClassExpression' && !node.id) {
+            this.compileClass(node, name);
+        } else {
+            this.compileNode(node);
+        }
+    }
+
+    /**
+     * 编译函数体并生成函数模板，函数体前放一条跳过它的JMP；
+     * 由调用方用CLOSURE指令创建函数对象
+     * @param {object} node - 函数节点（需要params与body）
+     * @param {object} options - 编译选项
+     * @param {string|null} options.name - 函数名，缺省取node.id，匿名函数为空字符串
+     * @param {boolean} options.isArrow - 是否为箭头函数
+     * @param {object} options.flags - 合并到函数模板上的附加标记
+     * @param {Function} options.prologue - 在参数声明之后、函数体之前生成额外指令
+     * @param {Array} options.classFields - 派生类构造函数中super()之后要初始化的实例字段
+     * @returns {number} 函数模板的常量索引
+     */
+    compileFunction(node, options = {}) {
+        const jumpIndex = this.bytecode.getInstructionCount();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        
+        const functionStartAddress = this.bytecode.getInstructionCount();
+        // length是第一个默认值或剩余参数之前的形参个数
+        const optionalIndex = node.params.findIndex(param => param.type === 'AssignmentPattern' || param.type === 'RestElement');
+        const funcInfo = {
+            name: options.name || (node.id ? node.id.name : ''),
+            length: optionalIndex === -1 ? node.params.length : optionalIndex,
+            params: [],
+            startAddress: functionStartAddress
+        };
+        // 源码位置供toString()取出函数的源码文本
+        if (typeof node.start === 'number' && typeof node.end === 'number') {
+            funcInfo.sourceRange = [node.start, node.end];
+        }
+        // 解构参数以隐藏名接收实参，在函数开头再解构；剩余参数单独记录
+        const paramNames = node.params.map((param, i) => {
+            let target = param.type === 'RestElement' ? param.argument : param;
+            if (target.type === 'AssignmentPattern') target = target.left;
+            return target.type === 'Identifier' ? target.name : `__param_${i}__`;
+        });
+        node.params.forEach((param, i) => {
+            if (param.type === 'RestElement') {
+                funcInfo.restParam = paramNames[i];
+            } else {
+                funcInfo.params.push(paramNames[i]);
+            }
+        });
+        if (options.isArrow) {
+            funcInfo.isArrow = true;
+        }
+        if (node.async && node.generator) {
+            throw new Error('暂不支持异步生成器函数');
+        }
+        if (node.generator) {
+            funcInfo.isGenerator = true;
+        }
+        if (node.async) {
+            funcInfo.isAsync = true;
+        }
+        Object.assign(funcInfo, options.flags);
+        
+        this.enterScope('function');
+        const controlContext = this.enterFunctionControlContext();
+        this.classFields = options.classFields || null;
+        if (node.type === 'FunctionExpression' && node.id) this.declareVariable(node.id.name);
+        // 默认值与解构在被调函数的作用域中从左到右求值，可以引用前面的参数
+        node.params.forEach((param, i) => {
+            const paramName = paramNames[i];
+            const target = param.type === 'RestElement' ? param.argument : param;
+            this.declareVariable(paramName);
+            if (target.type !== 'Identifier') {
+                this.bytecode.addInstruction(OpCodes.LOAD, this.bytecode.addConstant(paramName));
+                this.compilePattern(target, 'var');
+            }
+        });
+        if (options.prologue) {
+            options.prologue();
+        }
+        
+        if (node.body.type === 'BlockStatement') {
+            this.hoistVarDeclarations(node.body.body);
+            this.compileNode(node.body);
+            const undefinedIndex = this.bytecode.addConstant(undefined);
+            this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
+        } else {
+            this.compileNode(node.body);
+        }
+        this.bytecode.addInstruction(OpCodes.RET);
+        this.exitFunctionControlContext(controlContext);
+        this.exitScope();
+        
+        this.bytecode.instructions[jumpIndex].operand = this.bytecode.getInstructionCount();
+        return this.bytecode.addConstant(funcInfo);
+    }
+
+    /**
+     * 编译await表达式：挂起async函数，恢复后栈顶为兑现值（拒绝时在此处抛出）
+     */
+    compileAwaitExpression(node) {
+        this.compileNode(node.argument);
+        this.addInstruction(OpCodes.AWAIT, null, node);
+    }
+
+    /**
+     * 编译yield表达式
+     * 恢复后栈顶为next/return传入的值；以return()恢复时执行途经的finally后从生成器返回
+     */
+    compileYieldExpression(node) {
+        if (node.delegate) {
+            this.compileYieldDelegate(node);
+            return;
+        }
+        if (node.argument) {
+            this.compileNode(node.argument);
+        } else {
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+        }
+        this.addInstruction(OpCodes.YIELD, 0, node);
+        const resumeJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.YIELD_RESUME, 0);
+        this.compileAbruptExit(0);
+        this.bytecode.addInstruction(OpCodes.RET);
+        this.patchInstruction(resumeJump, this.getCurrentAddress());
+    }
+
+    /**
+     * 编译yield*：按迭代器协议把next/throw/return转发给内层迭代器，
+     * 内层迭代结果原样产出，内层完成时的value即表达式的值
+     * 布局: JMP Lstart; Lret: 返回路径; Lstart: 迭代记录, undefined;
+     *       Lloop: YIELD_DELEGATE Lret; CALL_METHOD 1; DELEGATE_RESULT Lend; YIELD 1; JMP Lloop; Lend:
+     */
+    compileYieldDelegate(node) {
+        const startJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        const returnPath = this.getCurrentAddress();
+        this.compileAbruptExit(0);
+        this.bytecode.addInstruction(OpCodes.RET);
+        this.patchInstruction(startJump, this.getCurrentAddress());
+        
+        this.compileNode(node.argument);
+        this.emitGetIterator(node.argument);
+        this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(undefined));
+        
+        const loopStart = this.getCurrentAddress();
+        this.addInstruction(OpCodes.YIELD_DELEGATE, returnPath, node);
+        this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(1));
+        const doneJump = this.getCurrentAddress();
+        this.addInstruction(OpCodes.DELEGATE_RESULT, 0, node);
+        this.addInstruction(OpCodes.YIELD, 1, node);
+        this.bytecode.addInstruction(OpCodes.JMP, loopStart);
+        this.patchInstruction(doneJump, this.getCurrentAddress());
+    }
+
+    // 类
+    compileClassDeclaration(node) {
+        const className = node.id.name;
+        this.declareVariable(className, 'let');
+        this.compileClass(node);
+        const nameIndex = this.bytecode.addConstant(className);
+        this.addInstruction(OpCodes.DECLARE_LET, nameIndex, node);
+    }
+
+    /**
+     * 编译类表达式，具名类表达式的类名只在类体内可见
+     */
+    compileClassExpression(node) {
+        if (!node.id) {
+            this.compileClass(node);
+            return;
+        }
+        this.enterScope();
+        const blockEntered = this.enterBlockScope([node.id.name]);
+        this.declareVariable(node.id.name, 'const');
+        this.compileClass(node);
+        this.bytecode.addInstruction(OpCodes.DUP);
+        this.bytecode.addInstruction(OpCodes.DECLARE_CONST, this.bytecode.addConstant(node.id.name));
+        this.exitBlockScope(blockEntered);
+        this.exitScope();
+    }
+
+    /**
+     * 编译类定义，结束时类的构造函数留在栈顶
+     * 指令顺序：[父类] CLOSURE 构造函数 → DEFINE_CLASS → 逐个 DEFINE_METHOD → 静态字段初始化
+     * @param {object} node - 类节点
+     * @param {string} inferredName - 匿名类从赋值目标推断的名字
+     */
+    compileClass(node, inferredName = null) {
+        const className = node.id ? node.id.name : inferredName;
+        const isDerived = node.superClass !== null && node.superClass !== undefined;
+        const members = node.body.body;
+        let constructorNode = null;
+        const methods = [];
+        const instanceFields = [];
+        const staticFields = [];
+
+        for (const member of members) {
+            if (member.type === 'ClassMethod') {
+                if (member.kind === 'constructor') {
+                    constructorNode = member;
+                } else {
+                    methods.push(member);
+                }
+            } else if (member.type === 'ClassProperty') {
+                (member.static ? staticFields : instanceFields).push(member);
+            } else {
+                throw new Error(`未支持的类成员类型: ${member.type}`);
+            }
+        }
+
+        if (isDerived) {
+            this.compileNode(node.superClass);
+        }
+        this.compileClassConstructor(constructorNode, className, isDerived, instanceFields);
+        this.bytecode.addInstruction(OpCodes.DEFINE_CLASS);
+
+        for (const method of methods) {
+            this.compilePropertyKey(method.key, method.computed);
+            const methodName = method.computed ? null : this.getStaticKeyName(method.key);
+            this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(method, { name: methodName, flags: { isMethod: true } }));
+            const descriptor = { kind: method.kind, isStatic: !!method.static };
+            this.addInstruction(OpCodes.DEFINE_METHOD, this.bytecode.addConstant(descriptor), method);
+        }
+
+        // 静态字段在类定义完成后按顺序求值，this指向构造函数
+        if (staticFields.length > 0) {
+            const initializer = { params: [], body: { type: 'BlockStatement', body: [] } };
+            const initializerIndex = this.compileFunction(initializer, {
+                name: null,
+                prologue: () => this.compileFieldInitializers(staticFields)
+            });
+            this.bytecode.addInstruction(OpCodes.DUP);
+            this.bytecode.addInstruction(OpCodes.CLOSURE, initializerIndex);
+            this.bytecode.addInstruction(OpCodes.CALL_METHOD, this.bytecode.addConstant(0));
+            this.bytecode.addInstruction(OpCodes.POP);
+        }
+    }
+
+    /**
+     * 编译类的构造函数并生成CLOSURE
+     * 基类在函数体开头初始化实例字段；派生类在每次super()返回后初始化
+     * 没有显式constructor时使用规范定义的默认构造函数
+     */
+    compileClassConstructor(constructorNode, className, isDerived, instanceFields) {
+        const node = constructorNode || this.createDefaultConstructor(isDerived);
+        const options = {
+            name: className,
+            flags: isDerived ? { isClassConstructor: true, isDerivedClass: true } : { isClassConstructor: true }
+        };
+
+        if (!isDerived) {
+            options.prologue = () => this.compileFieldInitializers(instanceFields);
+        } else {
+            options.classFields = instanceFields;
+        }
+
+        this.bytecode.addInstruction(OpCodes.CLOSURE, this.compileFunction(node, options));
+    }
+
+    /**
+     * 生成默认构造函数的AST：基类为 constructor() {}，派生类为 constructor(...args) { super(...args); }
+     * @param {boolean} isDerived - 是否为派生类
+     * @returns {object} 构造函数节点
+     */
+    createDefaultConstructor(isDerived) {
+        if (!isDerived) {
+            return { params: [], body: { type: 'BlockStatement', body: [] } };
+        }
+        const args = { type: 'Identifier', name: '__args__' };
+        const superCall = {
+            type: 'CallExpression',
+            callee: { type: 'Super' },
+            arguments: [{ type: 'SpreadElement', argument: args }]
+        };
+        return {
+            params: [{ type: 'RestElement', argument: args }],
+            body: { type: 'BlockStatement', body: [{ type: 'ExpressionStatement', expression: superCall }] }
+        };
+    }
+
+    /**
+     * 生成字段初始化指令：this[key] = value
+     * @param {Array} fields - ClassProperty节点列表
+     */
+    compileFieldInitializers(fields) {
+        if (!fields) return;
+        for (const field of fields) {
+            if (field.value) {
+                this.compileNode(field.value);
+            } else {
+                const undefinedIndex = this.bytecode.addConstant(undefined);
+                this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
+            }
+            this.compileThisExpression(field);
+            this.compilePropertyKey(field.key, field.computed);
+            this.addInstruction(OpCodes.SET_PROP, null, field);
+            this.bytecode.addInstruction(OpCodes.POP);
+        }
+    }
+
+    /**
+     * 把属性键压入栈：计算属性编译键表达式，否则压入静态键名
+     * @param {object} key - 键节点
+     * @param {boolean} computed - 是否为计算属性
+     */
+    compilePropertyKey(key, computed) {
+        if (computed) {
+            this.compileNode(key);
+        } else {
+            this.bytecode.addInstruction(OpCodes.PUSH, this.bytecode.addConstant(this.getStaticKeyName(key)));
+        }
+    }
+
+    /**
+     * 获取非计算属性键的名字
+     * @param {object} key - Identifier / StringLiteral / NumericLiteral
+     * @returns {string} 键名
+     */
+    getStaticKeyName(key) {
+        if (key.type === 'Identifier') return key.name;
+        return String(key.value);
+    }
+
+    // 控制流语句
+    compileReturnStatement(node) {
+        if (node.argument) {
+            this.compileNode(node.argument);
+        } else {
+            const undefinedIndex = this.bytecode.addConstant(undefined);
+            this.bytecode.addInstruction(OpCodes.PUSH, undefinedIndex);
+        }
+        // 返回值留在栈上，先执行途经的finally
+        this.compileAbruptExit(0);
+        this.bytecode.addInstruction(OpCodes.RET);
+    }
+
+    compileIfStatement(node) {
+        this.compileNode(node.test);
+        const elseJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JNF, 0);
+        this.compileNode(node.consequent);
+        
+        if (node.alternate) {
+            const endJump = this.getCurrentAddress();
+            this.bytecode.addInstruction(OpCodes.JMP, 0);
+            this.patchInstruction(elseJump, this.getCurrentAddress());
+            this.compileNode(node.alternate);
+            this.patchInstruction(endJump, this.getCurrentAddress());
+        } else {
+            this.patchInstruction(elseJump, this.getCurrentAddress());
+        }
+    }
+
+    compileWhileStatement(node) {
+        const loopStart = this.getCurrentAddress();
+        const loopContext = this.createLoopContext('while', node);
+        this.controlStack.push(loopContext);
+        
+        this.compileNode(node.test);
+        const exitJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JNF, 0);
+        loopContext.breakTargets.push(exitJump);
+        
+        this.compileNode(node.body);
+        
+        for (const target of loopContext.continueTargets) {
+            this.patchInstruction(target, this.getCurrentAddress());
+        }
+        
+        this.bytecode.addInstruction(OpCodes.JMP, loopStart);
+        
+        for (const target of loopContext.breakTargets) {
+            this.patchInstruction(target, this.getCurrentAddress());
+        }
+        
+        this.controlStack.pop();
+    }
+
+    compileDoWhileStatement(node) {
+        const loopStart = this.getCurrentAddress();
+        const loopContext = this.createLoopContext('do-while', node);
+        this.controlStack.push(loopContext);
         
         this.compileNode(node.body);
         
@@ -662,13 +1605,16 @@ class Compiler {
             this.patchInstruction(target, this.getCurrentAddress());
         }
         
-        this.loopStack.pop();
+        this.controlStack.pop();
     }
 
     compileForStatement(node) {
         this.enterScope();
-        const loopContext = { type: 'for', breakTargets: [], continueTargets: [] };
-        this.loopStack.push(loopContext);
+        // for (let ...) 的绑定位于循环头部的块级作用域，每次迭代复制一份
+        const lexicalInit = node.init && node.init.type === 'VariableDeclaration' && node.init.kind !== 'var';
+        const perIteration = this.enterBlockScope(lexicalInit ? this.collectLexicalNames([node.init]) : []);
+        const loopContext = this.createLoopContext('for', node);
+        this.controlStack.push(loopContext);
         
         if (node.init) {
             this.compileNode(node.init);
@@ -694,6 +1640,10 @@ class Compiler {
             this.patchInstruction(target, continueTarget);
         }
         
+        if (perIteration) {
+            this.bytecode.addInstruction(OpCodes.RENEW_BLOCK);
+        }
+        
         if (node.update) {
             this.compileNode(node.update);
             this.bytecode.addInstruction(OpCodes.POP);
@@ -705,32 +1655,24 @@ class Compiler {
             this.patchInstruction(target, this.getCurrentAddress());
         }
         
-        this.loopStack.pop();
+        this.controlStack.pop();
+        this.exitBlockScope(perIteration);
         this.exitScope();
     }
 
     compileForInStatement(node) {
         this.enterScope();
-        const loopContext = { type: 'for-in', breakTargets: [], continueTargets: [] };
-        this.loopStack.push(loopContext);
+        const lexicalLeft = node.left.type === 'VariableDeclaration' && node.left.kind !== 'var';
+        const perIteration = this.enterBlockScope(lexicalLeft ? this.collectLexicalNames([node.left]) : []);
+        const loopContext = this.createLoopContext('for-in', node);
+        this.controlStack.push(loopContext);
         
         this.compileNode(node.right);
         
-        const objectKeysIndex = this.bytecode.addConstant('Object');
-        this.bytecode.addInstruction(OpCodes.LOAD, objectKeysIndex);
-        const keysIndex = this.bytecode.addConstant('keys');
-        this.bytecode.addInstruction(OpCodes.PUSH, keysIndex);
-        this.bytecode.addInstruction(OpCodes.GET_PROP);
-        this.bytecode.addInstruction(OpCodes.CALL, this.bytecode.addConstant(1));
-        
-        const indexVar = '__for_in_index__';
-        this.declareVariable(indexVar);
-        const zeroIndex = this.bytecode.addConstant(0);
-        this.bytecode.addInstruction(OpCodes.PUSH, zeroIndex);
-        const indexNameIndex = this.bytecode.addConstant(indexVar);
-        this.bytecode.addInstruction(OpCodes.DECLARE, indexNameIndex);
+        // 收集要枚举的键（包括原型链上继承的可枚举键），保存被遍历的对象，每次迭代前检查键是否已被删除
+        this.addInstruction(OpCodes.FOR_IN_KEYS, null, node);
         
-        const lengthVar = '__for_in_length__';
+        const lengthVar = `__for_in_length_${this.controlStack.length}__`;
         this.declareVariable(lengthVar);
         this.bytecode.addInstruction(OpCodes.DUP);
         const lengthPropIndex = this.bytecode.addConstant('length');
@@ -739,11 +1681,23 @@ class Compiler {
         const lengthNameIndex = this.bytecode.addConstant(lengthVar);
         this.bytecode.addInstruction(OpCodes.DECLARE, lengthNameIndex);
         
-        const keysVar = '__for_in_keys__';
+        const keysVar = `__for_in_keys_${this.controlStack.length}__`;
         this.declareVariable(keysVar);
         const keysNameIndex = this.bytecode.addConstant(keysVar);
         this.bytecode.addInstruction(OpCodes.DECLARE, keysNameIndex);
         
+        const objectVar = `__for_in_object_${this.controlStack.length}__`;
+        this.declareVariable(objectVar);
+        const objectNameIndex = this.bytecode.addConstant(objectVar);
+        this.bytecode.addInstruction(OpCodes.DECLARE, objectNameIndex);
+        
+        const indexVar = `__for_in_index_${this.controlStack.length}__`;
+        this.declareVariable(indexVar);
+        const zeroIndex = this.bytecode.addConstant(0);
+        this.bytecode.addInstruction(OpCodes.PUSH, zeroIndex);
+        const indexNameIndex = this.bytecode.addConstant(indexVar);
+        this.bytecode.addInstruction(OpCodes.DECLARE, indexNameIndex);
+        
         const loopStart = this.getCurrentAddress();
         this.bytecode.addInstruction(OpCodes.LOAD, indexNameIndex);
         this.bytecode.addInstruction(OpCodes.LOAD, lengthNameIndex);
@@ -753,19 +1707,26 @@ class Compiler {
         this.bytecode.addInstruction(OpCodes.JNF, 0);
         loopContext.breakTargets.push(exitJump);
         
+        // 遍历过程中被删除的键不再访问
+        this.bytecode.addInstruction(OpCodes.LOAD, keysNameIndex);
+        this.bytecode.addInstruction(OpCodes.LOAD, indexNameIndex);
+        this.bytecode.addInstruction(OpCodes.GET_ELEM);
+        this.bytecode.addInstruction(OpCodes.LOAD, objectNameIndex);
+        this.bytecode.addInstruction(OpCodes.IN);
+        loopContext.continueTargets.push(this.getCurrentAddress());
+        this.bytecode.addInstruction(OpCodes.JNF, 0);
+        
         this.bytecode.addInstruction(OpCodes.LOAD, keysNameIndex);
         this.bytecode.addInstruction(OpCodes.LOAD, indexNameIndex);
         this.bytecode.addInstruction(OpCodes.GET_ELEM);
         
         if (node.left.type === 'VariableDeclaration') {
-            const varName = node.left.declarations[0].id.name;
-            this.declareVariable(varName);
-            const varNameIndex = this.bytecode.addConstant(varName);
-            this.bytecode.addInstruction(OpCodes.DECLARE, varNameIndex);
+            if (perIteration) {
+                this.bytecode.addInstruction(OpCodes.RENEW_BLOCK);
+            }
+            this.compilePattern(node.left.declarations[0].id, node.left.kind);
         } else {
-            const varName = node.left.name;
-            const varNameIndex = this.bytecode.addConstant(varName);
-            this.bytecode.addInstruction(OpCodes.STORE, varNameIndex);
+            this.compilePattern(node.left, 'assign');
         }
         
         this.compileNode(node.body);
@@ -787,15 +1748,119 @@ class Compiler {
             this.patchInstruction(target, this.getCurrentAddress());
         }
         
-        this.loopStack.pop();
+        this.controlStack.pop();
+        this.exitBlockScope(perIteration);
+        this.exitScope();
+    }
+
+    /**
+     * 编译for-of循环
+     * 迭代记录保存在隐藏变量中；每次迭代的绑定和循环体处于一个异常处理区域内，
+     * 循环体抛出异常、break或return离开循环时都会关闭迭代器
+     */
+    compileForOfStatement(node) {
+        if (node.await) {
+            throw new Error('暂不支持for await循环');
+        }
+        this.enterScope();
+        const lexicalLeft = node.left.type === 'VariableDeclaration' && node.left.kind !== 'var';
+        const perIteration = this.enterBlockScope(lexicalLeft ? this.collectLexicalNames([node.left]) : []);
+        
+        const iteratorVar = `__for_of_iterator_${this.controlStack.length}__`;
+        const iteratorNameIndex = this.bytecode.addConstant(iteratorVar);
+        this.declareVariable(iteratorVar);
+        this.compileNode(node.right);
+        this.emitGetIterator(node.right);
+        this.bytecode.addInstruction(OpCodes.DECLARE, iteratorNameIndex);
+        
+        const loopStart = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.LOAD, iteratorNameIndex);
+        const doneJumps = this.emitIteratorStep();
+        this.bytecode.addInstruction(OpCodes.ROLL, 1);
+        this.bytecode.addInstruction(OpCodes.POP);
+        
+        const tryIndex = this.getCurrentAddress();
+        this.addInstruction(OpCodes.TRY, 0, node);
+        this.tryStack.push({ finalizer: null, blockDepth: this.blockDepth, iteratorName: iteratorVar });
+        const loopContext = this.createLoopContext('for-of', node);
+        this.controlStack.push(loopContext);
+        
+        if (node.left.type === 'VariableDeclaration') {
+            if (perIteration) {
+                this.bytecode.addInstruction(OpCodes.RENEW_BLOCK);
+            }
+            this.compilePattern(node.left.declarations[0].id, node.left.kind);
+        } else {
+            this.compilePattern(node.left, 'assign');
+        }
+        
+        this.compileNode(node.body);
+        
+        this.controlStack.pop();
+        this.tryStack.pop();
+        
+        const continueTarget = this.getCurrentAddress();
+        for (const target of loopContext.continueTargets) {
+            this.patchInstruction(target, continueTarget);
+        }
+        this.bytecode.addInstruction(OpCodes.END_TRY);
+        this.bytecode.addInstruction(OpCodes.JMP, loopStart);
+        
+        // break：卸载处理器并关闭迭代器
+        const breakTarget = this.getCurrentAddress();
+        for (const target of loopContext.breakTargets) {
+            this.patchInstruction(target, breakTarget);
+        }
+        this.bytecode.addInstruction(OpCodes.END_TRY);
+        this.bytecode.addInstruction(OpCodes.LOAD, iteratorNameIndex);
+        this.emitIteratorClose();
+        const breakJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        
+        // 异常路径：处理器恢复的栈高度包含本次迭代的值，先丢弃该位置；
+        // 关闭迭代器时产生的异常被忽略，重新抛出原异常
+        this.patchInstruction(tryIndex, this.getCurrentAddress());
+        this.bytecode.addInstruction(OpCodes.ROLL, 1);
+        this.bytecode.addInstruction(OpCodes.POP);
+        const closeTryIndex = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.TRY, 0);
+        this.bytecode.addInstruction(OpCodes.LOAD, iteratorNameIndex);
+        this.emitIteratorClose();
+        this.bytecode.addInstruction(OpCodes.END_TRY);
+        const rethrowJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        this.patchInstruction(closeTryIndex, this.getCurrentAddress());
+        this.bytecode.addInstruction(OpCodes.POP);
+        this.patchInstruction(rethrowJump, this.getCurrentAddress());
+        this.addInstruction(OpCodes.THROW, null, node);
+        
+        // 迭代完成
+        for (const jump of doneJumps) {
+            this.patchInstruction(jump, this.getCurrentAddress());
+        }
+        this.bytecode.addInstruction(OpCodes.POP);
+        this.patchInstruction(breakJump, this.getCurrentAddress());
+        
+        this.exitBlockScope(perIteration);
         this.exitScope();
     }
 
     compileSwitchStatement(node) {
         this.compileNode(node.discriminant);
         
-        const switchContext = { type: 'switch', breakTargets: [] };
-        this.switchStack.push(switchContext);
+        // 所有case共享一个块级作用域，其中的函数声明在进入switch时创建
+        const consequents = node.cases.flatMap(caseNode => caseNode.consequent);
+        this.enterScope();
+        const blockEntered = this.enterBlockScope(this.collectLexicalNames(consequents));
+        this.hoistFunctionDeclarations(consequents);
+        const switchContext = {
+            type: 'switch',
+            labels: this.takeLabels(node),
+            breakTargets: [],
+            tryDepth: this.tryStack.length,
+            blockDepth: this.blockDepth
+        };
+        this.controlStack.push(switchContext);
         
         const caseJumps = [];
         let defaultJump = null;
@@ -821,15 +1886,25 @@ class Compiler {
         const noMatchJump = this.getCurrentAddress();
         this.bytecode.addInstruction(OpCodes.JMP, 0);
         
+        // 匹配成功时先弹出判别值再进入case体
+        const bodyJumps = [];
+        for (const caseJump of caseJumps) {
+            this.patchInstruction(caseJump.jumpIndex, this.getCurrentAddress());
+            this.bytecode.addInstruction(OpCodes.POP);
+            bodyJumps.push({ jumpIndex: this.getCurrentAddress(), caseIndex: caseJump.caseIndex });
+            this.bytecode.addInstruction(OpCodes.JMP, 0);
+        }
+        
         const caseAddresses = [];
         for (let i = 0; i < node.cases.length; i++) {
             caseAddresses[i] = this.getCurrentAddress();
             for (const statement of node.cases[i].consequent) {
+                if (statement.type === 'FunctionDeclaration') continue;
                 this.compileNode(statement);
             }
         }
         
-        for (const { jumpIndex, caseIndex } of caseJumps) {
+        for (const { jumpIndex, caseIndex } of bodyJumps) {
             this.patchInstruction(jumpIndex, caseAddresses[caseIndex]);
         }
         
@@ -843,66 +1918,276 @@ class Compiler {
             this.patchInstruction(target, this.getCurrentAddress());
         }
         
-        this.switchStack.pop();
+        this.controlStack.pop();
+        this.exitBlockScope(blockEntered);
+        this.exitScope();
     }
 
+    /**
+     * 编译break：无标签时跳出最内层的循环或switch，有标签时跳出带该标签的语句
+     */
     compileBreakStatement(node) {
-        const jumpIndex = this.getCurrentAddress();
-        this.bytecode.addInstruction(OpCodes.JMP, 0);
-        
-        if (this.switchStack.length > 0) {
-            const switchContext = this.switchStack[this.switchStack.length - 1];
-            switchContext.breakTargets.push(jumpIndex);
-        } else if (this.loopStack.length > 0) {
-            const loopContext = this.loopStack[this.loopStack.length - 1];
-            loopContext.breakTargets.push(jumpIndex);
+        let context;
+        if (node.label) {
+            context = this.findLabeledContext(node.label.name);
         } else {
-            throw new Error('break语句必须在循环或switch语句内');
+            context = this.findControlContext(entry => entry.type !== 'label');
+            if (!context) {
+                throw new Error('break语句必须在循环或switch语句内');
+            }
         }
+        
+        this.compileAbruptExit(context.tryDepth, context.blockDepth);
+        const jumpIndex = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        context.breakTargets.push(jumpIndex);
     }
 
+    /**
+     * 编译continue：无标签时继续最内层的循环（跳过其间的switch），有标签时标签必须指向循环
+     */
     compileContinueStatement(node) {
+        let loopContext;
+        if (node.label) {
+            loopContext = this.findLabeledContext(node.label.name);
+            if (!loopContext.continueTargets) {
+                throw new SyntaxError(`continue的标签必须指向循环语句: ${node.label.name}`);
+            }
+        } else {
+            loopContext = this.findControlContext(entry => entry.continueTargets !== undefined);
+            if (!loopContext) {
+                throw new Error('continue语句必须在循环语句内');
+            }
+        }
+        
+        this.compileAbruptExit(loopContext.tryDepth, loopContext.blockDepth);
         const jumpIndex = this.getCurrentAddress();
         this.bytecode.addInstruction(OpCodes.JMP, 0);
+        loopContext.continueTargets.push(jumpIndex);
+    }
+
+    /**
+     * 编译带标签的语句
+     * 循环和switch自己认领标签；其他语句（如块语句）建立只能break的标签上下文
+     */
+    compileLabeledStatement(node) {
+        const labels = [];
+        let body = node;
+        while (body.type === 'LabeledStatement') {
+            const name = body.label.name;
+            if (labels.includes(name) || this.controlStack.some(entry => entry.labels.includes(name))) {
+                throw new SyntaxError(`标签重复声明: ${name}`);
+            }
+            labels.push(name);
+            body = body.body;
+        }
         
-        if (this.loopStack.length > 0) {
-            const loopContext = this.loopStack[this.loopStack.length - 1];
-            loopContext.continueTargets.push(jumpIndex);
-        } else {
-            throw new Error('continue语句必须在循环语句内');
+        if (LABELABLE_TYPES.has(body.type)) {
+            this.pendingLabels = { node: body, labels };
+            this.compileNode(body);
+            return;
+        }
+        
+        const labelContext = {
+            type: 'label',
+            labels,
+            breakTargets: [],
+            tryDepth: this.tryStack.length,
+            blockDepth: this.blockDepth
+        };
+        this.controlStack.push(labelContext);
+        this.compileNode(body);
+        this.controlStack.pop();
+        
+        for (const target of labelContext.breakTargets) {
+            this.patchInstruction(target, this.getCurrentAddress());
         }
     }
 
+    /**
+     * 由内向外查找满足条件的控制上下文
+     * @param {Function} predicate - 判断条件
+     * @returns {object|null} 控制上下文
+     */
+    findControlContext(predicate) {
+        for (let i = this.controlStack.length - 1; i >= 0; i--) {
+            if (predicate(this.controlStack[i])) {
+                return this.controlStack[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 查找带指定标签的控制上下文，标签不存在时报编译错误
+     * @param {string} name - 标签名
+     * @returns {object} 控制上下文
+     */
+    findLabeledContext(name) {
+        const context = this.findControlContext(entry => entry.labels.includes(name));
+        if (!context) {
+            throw new SyntaxError(`未定义的标签: ${name}`);
+        }
+        return context;
+    }
+
+    /**
+     * 取出属于该循环或switch节点的标签
+     * @param {object} node - 循环或switch节点
+     * @returns {string[]} 标签名
+     */
+    takeLabels(node) {
+        if (this.pendingLabels && this.pendingLabels.node === node) {
+            const labels = this.pendingLabels.labels;
+            this.pendingLabels = null;
+            return labels;
+        }
+        return [];
+    }
+
     compileThrowStatement(node) {
         this.compileNode(node.argument);
-        this.bytecode.addInstruction(OpCodes.THROW);
+        this.addInstruction(OpCodes.THROW, null, node);
     }
 
+    /**
+     * 编译try语句
+     * try/catch/finally 按 try { try {...} catch {...} } finally {...} 的结构编译：
+     * 内层处理器负责catch，外层处理器负责finally的异常路径
+     */
     compileTryStatement(node) {
-        this.bytecode.addInstruction(OpCodes.TRY);
-        this.compileNode(node.block);
-        
-        if (node.handler) {
-            this.bytecode.addInstruction(OpCodes.CATCH);
-            this.compileCatchClause(node.handler);
+        if (node.finalizer) {
+            this.compileTryFinally(node);
+        } else {
+            this.compileTryCatch(node.block, node.handler);
         }
+    }
+
+    /**
+     * 编译try/catch
+     * 布局: TRY Lcatch; block; END_TRY; JMP Lend; Lcatch: (异常值在栈顶) catch块; Lend:
+     * @param {object} block - try块
+     * @param {object} handler - CatchClause节点
+     */
+    compileTryCatch(block, handler) {
+        const tryIndex = this.getCurrentAddress();
+        this.addInstruction(OpCodes.TRY, 0, block);
         
-        if (node.finalizer) {
-            this.bytecode.addInstruction(OpCodes.FINALLY);
-            this.compileNode(node.finalizer);
+        this.tryStack.push({ finalizer: null, blockDepth: this.blockDepth });
+        this.compileNode(block);
+        this.tryStack.pop();
+        
+        this.bytecode.addInstruction(OpCodes.END_TRY);
+        const endJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        
+        this.patchInstruction(tryIndex, this.getCurrentAddress());
+        this.compileCatchClause(handler);
+        this.patchInstruction(endJump, this.getCurrentAddress());
+    }
+
+    /**
+     * 编译带finally的try语句
+     * finally块在每个出口处内联展开：正常结束、return/break/continue（见compileAbruptExit）、
+     * 以及异常路径（执行finally后重新抛出栈顶的异常值）
+     * @param {object} node - TryStatement节点
+     */
+    compileTryFinally(node) {
+        const tryIndex = this.getCurrentAddress();
+        this.addInstruction(OpCodes.TRY, 0, node);
+        
+        const tryContext = {
+            finalizer: node.finalizer,
+            blockDepth: this.blockDepth,
+            tryDepth: this.tryStack.length,
+            controlDepth: this.controlStack.length
+        };
+        this.tryStack.push(tryContext);
+        if (node.handler) {
+            this.compileTryCatch(node.block, node.handler);
+        } else {
+            this.compileNode(node.block);
         }
+        this.tryStack.pop();
         
+        // 正常结束路径
         this.bytecode.addInstruction(OpCodes.END_TRY);
+        this.compileFinalizer(tryContext);
+        const endJump = this.getCurrentAddress();
+        this.bytecode.addInstruction(OpCodes.JMP, 0);
+        
+        // 异常路径：处理器已被弹出，执行finally后重新抛出
+        this.patchInstruction(tryIndex, this.getCurrentAddress());
+        this.compileFinalizer(tryContext);
+        this.addInstruction(OpCodes.THROW, null, node.finalizer);
+        
+        this.patchInstruction(endJump, this.getCurrentAddress());
+    }
+
+    /**
+     * 在try语句所在的控制上下文中编译finally块
+     * finally中的break/continue/return只能看到try语句外层的循环和处理器
+     * @param {object} tryContext - tryStack中的条目
+     */
+    compileFinalizer(tryContext) {
+        const saved = {
+            controlStack: this.controlStack,
+            tryStack: this.tryStack,
+            blockDepth: this.blockDepth,
+            classFields: this.classFields
+        };
+        this.controlStack = this.controlStack.slice(0, tryContext.controlDepth);
+        this.tryStack = this.tryStack.slice(0, tryContext.tryDepth);
+        this.blockDepth = tryContext.blockDepth;
+        
+        this.compileNode(tryContext.finalizer);
+        
+        this.controlStack = saved.controlStack;
+        this.tryStack = saved.tryStack;
+        this.blockDepth = saved.blockDepth;
+        this.classFields = saved.classFields;
+    }
+
+    /**
+     * 为return/break/continue生成跳出try区域和块级作用域的代码：
+     * 由内向外离开块级作用域、卸载处理器，并内联执行途经的finally块
+     * @param {number} targetTryDepth - 跳转目标所在的try深度
+     * @param {number} [targetBlockDepth] - 跳转目标所在的块级作用域深度，return时省略（栈帧整体丢弃）
+     */
+    compileAbruptExit(targetTryDepth, targetBlockDepth) {
+        let blockDepth = this.blockDepth;
+        for (let i = this.tryStack.length - 1; i >= targetTryDepth; i--) {
+            const tryContext = this.tryStack[i];
+            this.emitLeaveBlocks(blockDepth - tryContext.blockDepth);
+            blockDepth = tryContext.blockDepth;
+            this.bytecode.addInstruction(OpCodes.END_TRY);
+            if (tryContext.finalizer) {
+                this.compileFinalizer(tryContext);
+            }
+            if (tryContext.iteratorName) {
+                // 从for-of循环体中return时关闭迭代器
+                this.bytecode.addInstruction(OpCodes.LOAD, this.bytecode.addConstant(tryContext.iteratorName));
+                this.emitIteratorClose();
+            }
+        }
+        if (targetBlockDepth !== undefined) {
+            this.emitLeaveBlocks(blockDepth - targetBlockDepth);
+        }
     }
 
     compileCatchClause(node) {
+        // 处理器入口处异常值位于栈顶，catch参数绑定在catch块自己的作用域中
         if (node.param) {
-            const paramName = node.param.name;
-            this.declareVariable(paramName);
-            const nameIndex = this.bytecode.addConstant(paramName);
-            this.bytecode.addInstruction(OpCodes.STORE, nameIndex);
+            this.enterScope();
+            const blockEntered = this.enterBlockScope(this.collectPatternNames(node.param));
+            this.compilePattern(node.param, 'let');
+            this.compileNode(node.body);
+            this.exitBlockScope(blockEntered);
+            this.exitScope();
+        } else {
+            this.bytecode.addInstruction(OpCodes.POP);
+            this.compileNode(node.body);
         }
-        this.compileNode(node.body);
     }
 
     compileDebuggerStatement(node) {
@@ -913,8 +2198,50 @@ class Compiler {
     }
 
     // 工具方法
-    enterScope() {
-        this.scopes.push(new Map());
+    /**
+     * 进入函数体时保存并重置循环/switch/try上下文，
+     * 函数内的break/continue/return不能跨越函数边界
+     * @returns {object} 保存的外层控制上下文
+     */
+    enterFunctionControlContext() {
+        const saved = {
+            controlStack: this.controlStack,
+            tryStack: this.tryStack,
+            blockDepth: this.blockDepth,
+            classFields: this.classFields,
+            pendingLabels: this.pendingLabels
+        };
+        this.controlStack = [];
+        this.pendingLabels = null;
+        this.tryStack = [];
+        this.blockDepth = 0;
+        this.classFields = null;
+        return saved;
+    }
+
+    /**
+     * 离开函数体时恢复外层控制上下文
+     * @param {object} saved - enterFunctionControlContext返回的上下文
+     */
+    exitFunctionControlContext(saved) {
+        this.controlStack = saved.controlStack;
+        this.pendingLabels = saved.pendingLabels;
+        this.tryStack = saved.tryStack;
+        this.blockDepth = saved.blockDepth;
+        this.classFields = saved.classFields;
+    }
+
+    /**
+     * 创建编译期作用域
+     * @param {string} type - 'function'（var的归属）或 'block'
+     * @returns {object} 作用域
+     */
+    createScope(type) {
+        return { type, variables: new Map() };
+    }
+
+    enterScope(type = 'block') {
+        this.scopes.push(this.createScope(type));
         this.currentScope++;
     }
 
@@ -923,19 +2250,99 @@ class Compiler {
         this.currentScope--;
     }
 
-    declareVariable(name) {
-        const currentScopeMap = this.scopes[this.currentScope];
-        currentScopeMap.set(name, { scope: this.currentScope, declared: true });
+    /**
+     * 在编译期作用域中登记变量：var归属最近的函数作用域，let/const归属当前块
+     * @param {string} name - 变量名
+     * @param {string} kind - 'var' | 'let' | 'const'
+     */
+    declareVariable(name, kind = 'var') {
+        let index = this.currentScope;
+        if (kind === 'var') {
+            while (index > 0 && this.scopes[index].type !== 'function') {
+                index--;
+            }
+        }
+        this.scopes[index].variables.set(name, { scope: index, kind, declared: true });
     }
 
     lookupVariable(name) {
         for (let i = this.currentScope; i >= 0; i--) {
             const scope = this.scopes[i];
-            if (scope.has(name)) return scope.get(name);
+            if (scope.variables.has(name)) return scope.variables.get(name);
         }
         return null;
     }
 
+    /**
+     * 收集语句列表中直接声明的let/const/class绑定名
+     * @param {Array} statements - 语句列表
+     * @returns {string[]} 绑定名
+     */
+    collectLexicalNames(statements) {
+        const names = [];
+        for (const statement of statements) {
+            if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+                for (const declarator of statement.declarations) {
+                    this.collectPatternNames(declarator.id, names);
+                }
+            } else if (statement.type === 'ClassDeclaration') {
+                names.push(statement.id.name);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * 存在let/const绑定时生成ENTER_BLOCK，进入运行时块级作用域
+     * @param {string[]} names - 块内声明的绑定名
+     * @returns {boolean} 是否进入了块级作用域
+     */
+    enterBlockScope(names) {
+        if (names.length === 0) {
+            return false;
+        }
+        this.bytecode.addInstruction(OpCodes.ENTER_BLOCK, this.bytecode.addConstant(names));
+        this.blockDepth++;
+        return true;
+    }
+
+    /**
+     * 离开enterBlockScope进入的块级作用域
+     * @param {boolean} entered - enterBlockScope的返回值
+     */
+    exitBlockScope(entered) {
+        if (entered) {
+            this.bytecode.addInstruction(OpCodes.LEAVE_BLOCK);
+            this.blockDepth--;
+        }
+    }
+
+    /**
+     * 生成指定数量的LEAVE_BLOCK（跳出嵌套的块级作用域）
+     * @param {number} count - 需要离开的块级作用域数量
+     */
+    emitLeaveBlocks(count) {
+        for (let i = 0; i < count; i++) {
+            this.bytecode.addInstruction(OpCodes.LEAVE_BLOCK);
+        }
+    }
+
+    /**
+     * 创建循环上下文，记录break/continue需要回到的try深度和块级作用域深度
+     * @param {string} type - 循环类型
+     * @returns {object} 循环上下文
+     */
+    createLoopContext(type, node) {
+        return {
+            type,
+            labels: this.takeLabels(node),
+            breakTargets: [],
+            continueTargets: [],
+            tryDepth: this.tryStack.length,
+            blockDepth: this.blockDepth
+        };
+    }
+
     getCurrentAddress() {
         return this.bytecode.getInstructionCount();
     }
@@ -944,17 +2351,6 @@ class Compiler {
         this.bytecode.instructions[address].operand = operand;
     }
 
-    captureClosure() {
-        const closure = new Map();
-        for (let i = 0; i <= this.currentScope; i++) {
-            const scope = this.scopes[i];
-            for (const [varName, varInfo] of scope.entries()) {
-                closure.set(varName, { scope: varInfo.scope, declared: varInfo.declared });
-            }
-        }
-        return closure;
-    }
-
     /**
      * 检测当前是否在函数体内
      * @returns {boolean} 是否在函数体内
@@ -7,10 +7,15 @@ const { Parser } = require('./parser');
  * 基于Babel AST的完整JavaScript执行环境
  */
 class JSVMP {
-    constructor() {
+    /**
+     * @param {object} options - 选项
+     * @param {string} options.profile - 标准库配置：minimal、es5或es2020（默认）
+     */
+    constructor(options = {}) {
+        this.options = { profile: options.profile };
         this.parser = new Parser();
         this.compiler = new Compiler();
-        this.vm = new VirtualMachine();
+        this.vm = new VirtualMachine(this.options);
         this.initialized = false; // 标记虚拟机是否已初始化
     }
 
@@ -35,6 +40,17 @@ class JSVMP {
         }
     }
 
+    /**
+     * 编译并执行JavaScript代码，返回结果的Promise
+     * 脚本同步部分执行完后，结果为Promise（如调用async函数）时等待其兑现
+     * @param {string} code - JavaScript源代码
+     * @param {object} context - 执行上下文
+     * @returns {Promise<any>} 执行结果
+     */
+    async runAsync(code, context = {}) {
+        return this.run(code, context);
+    }
+
     /**
      * 仅编译代码，不执行
      * @param {string} code - JavaScript源代码
@@ -86,11 +102,19 @@ class JSVMP {
         this.vm.setMaxInstructions(maxInstructions);
     }
 
+    /**
+     * 设置单次正则表达式匹配的最长时间
+     * @param {number} milliseconds - 毫秒数，0表示不限制
+     */
+    setMaxRegExpTime(milliseconds) {
+        this.vm.setMaxRegExpTime(milliseconds);
+    }
+
     /**
      * 重置虚拟机状态
      */
     reset() {
-        this.vm = new VirtualMachine();
+        this.vm = new VirtualMachine(this.options);
         this.initialized = false;
     }
 
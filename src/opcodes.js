@@ -6,6 +6,8 @@ const OpCodes = {
     PUSH: 0x01,         // 推入常量到栈顶
     POP: 0x02,          // 弹出栈顶元素
     DUP: 0x03,          // 复制栈顶元素
+    ROLL: 0x04,         // 把距栈顶第n个元素（栈顶为第0个）移到栈顶，操作数为n
+    PICK: 0x05,         // 复制距栈顶第n个元素到栈顶，操作数为n
 
     // 算术运算
     ADD: 0x10,          // 加法
@@ -14,6 +16,7 @@ const OpCodes = {
     DIV: 0x13,          // 除法
     MOD: 0x14,          // 取模
     NEG: 0x15,          // 取负
+    EXP: 0x1D,          // 幂运算 **
 
     // 位移运算
     SHL: 0x16,          // 左移 <<
@@ -27,12 +30,16 @@ const OpCodes = {
     BIT_NOT: 0x1C,      // 按位非 ~
 
     // 比较运算
-    EQ: 0x20,           // 相等
-    NE: 0x21,           // 不相等
+    EQ: 0x20,           // 严格相等 ===
+    NE: 0x21,           // 严格不等 !==
     LT: 0x22,           // 小于
     LE: 0x23,           // 小于等于
     GT: 0x24,           // 大于
     GE: 0x25,           // 大于等于
+    LOOSE_EQ: 0x26,     // 抽象相等 ==（按规范进行类型转换）
+    LOOSE_NE: 0x27,     // 抽象不等 !=
+    IN: 0x28,           // in运算符（属性是否存在于对象或其原型链上）
+    INSTANCEOF: 0x29,   // instanceof运算符（支持虚拟机定义的构造函数）
 
     // 逻辑运算
     AND: 0x30,          // 逻辑与
@@ -43,12 +50,19 @@ const OpCodes = {
     // 变量操作
     LOAD: 0x40,         // 加载变量
     STORE: 0x41,        // 存储变量
-    DECLARE: 0x42,      // 声明变量
+    DECLARE: 0x42,      // 声明变量（var，函数作用域）
+    DECLARE_LET: 0x43,  // 初始化let绑定（块级作用域）
+    DECLARE_CONST: 0x44, // 初始化const绑定（块级作用域，不可重新赋值）
+    ENTER_BLOCK: 0x45,  // 进入块级作用域（操作数为绑定名列表，初始处于TDZ）
+    LEAVE_BLOCK: 0x46,  // 离开块级作用域
+    RENEW_BLOCK: 0x47,  // 复制当前块级作用域（for循环每次迭代的独立绑定）
+    DECLARE_VARS: 0x48, // 提升var绑定（操作数为绑定名列表，尚未声明的初始化为undefined）
 
     // 控制流
     JMP: 0x50,          // 无条件跳转
     JIF: 0x51,          // 条件跳转(true)
     JNF: 0x52,          // 条件跳转(false)
+    JNN: 0x53,          // 条件跳转(不是null/undefined)，用于??短路
 
     // 函数操作
     CALL: 0x60,         // 函数调用
@@ -56,24 +70,50 @@ const OpCodes = {
     RET: 0x61,          // 函数返回
     ENTER: 0x62,        // 进入函数作用域
     LEAVE: 0x63,        // 离开函数作用域
+    CLOSURE: 0x65,      // 创建函数对象（捕获当前块级作用域）
+    SUPER_CALL: 0x66,   // super(...)调用父类构造函数（栈顶为实参数组）
+    CALL_SPREAD: 0x67,  // 以实参数组调用函数（含展开实参）
+    CALL_METHOD_SPREAD: 0x68, // 以实参数组调用方法（含展开实参）
+    YIELD: 0x69,        // 挂起生成器（操作数0：产出{value, done}；1：yield*原样产出内层迭代结果）
+    YIELD_RESUME: 0x6A, // yield恢复后：return()恢复时落入返回路径，否则跳转（操作数为地址）
+    YIELD_DELEGATE: 0x6B, // yield*按恢复方式调用内层迭代器的next/throw/return（操作数为返回路径地址）
+    DELEGATE_RESULT: 0x6C, // yield*读取内层迭代结果，完成时跳转（操作数为地址）
+    AWAIT: 0x6D,        // 挂起async函数，等待栈顶的值兑现后由微任务恢复
 
     // 对象操作
     NEW_OBJ: 0x70,      // 创建新对象
     GET_PROP: 0x71,     // 获取属性
     SET_PROP: 0x72,     // 设置属性
     NEW: 0x73,          // 构造函数调用 (new operator)
+    DEFINE_CLASS: 0x74, // 建立类的prototype与继承关系
+    DEFINE_METHOD: 0x75, // 在类的prototype、构造函数或对象字面量上定义方法/访问器
+    GET_SUPER: 0x76,    // 从父类原型上读取属性（super.x）
+    OBJECT_REST: 0x77,  // 对象解构的剩余属性（操作数为已读取键的个数）
+    DEFINE_PROP: 0x78,  // 在正在构建的对象上定义属性（操作数为1时设置__proto__原型）
+    OBJECT_SPREAD: 0x79, // 对象展开：复制源对象的自身可枚举属性
+    NEW_SPREAD: 0x7A,   // 以实参数组调用构造函数（含展开实参）
+    TEMPLATE_OBJECT: 0x7B, // 标签模板的字符串数组（带raw，冻结，按调用位置缓存）
+    DELETE_PROP: 0x7C,  // delete运算符：删除属性（操作数为变量名常量索引时删除未限定的标识符）
+    NEW_REGEXP: 0x7D,   // 由正则表达式字面量创建新的RegExp对象（操作数为{pattern, flags}常量）
+    FOR_IN_KEYS: 0x7E,  // for-in枚举的键：[值] -> [对象, 键数组]（沿原型链收集可枚举的字符串键）
 
     // 数组操作
     NEW_ARR: 0x80,      // 创建新数组
     GET_ELEM: 0x81,     // 获取数组元素
     SET_ELEM: 0x82,     // 设置数组元素
+    ARRAY_PUSH: 0x84,   // 向正在构建的数组追加元素
+
+    // 迭代器协议（next/return通过CALL_METHOD调用，虚拟机函数实现的迭代器同样适用）
+    GET_ITER: 0xA0,     // 读取[Symbol.iterator]方法：[对象] -> [对象, 方法]
+    ITER_INIT: 0xA1,    // 把迭代器包装为迭代记录 { iterator, next, done }
+    ITER_NEXT: 0xA2,    // 准备调用next：[记录] -> [记录, 迭代器, next]；记录已完成时跳转（操作数为地址）
+    ITER_VALUE: 0xA3,   // 读取迭代结果：[记录, 结果] -> [记录, 值]；done为true时标记记录并跳转
+    ITER_CLOSE: 0xA4,   // 准备调用return：[记录] -> [迭代器, return]；已完成或没有return时跳转
 
     // 异常处理
     THROW: 0x90,        // 抛出异常
-    TRY: 0x91,          // 开始try块
-    CATCH: 0x92,        // 开始catch块
-    FINALLY: 0x93,      // 开始finally块
-    END_TRY: 0x94,      // 结束try/catch/finally
+    TRY: 0x91,          // 安装异常处理器（操作数为处理器入口地址）
+    END_TRY: 0x94,      // 卸载当前异常处理器
 
     // 控制流扩展
     BREAK: 0x95,        // break语句
@@ -150,7 +190,8 @@ class ConstantPool {
         }
         
         // 对于其他类型，仍然进行去重优化
-        const key = typeof value === 'object' ? JSON.stringify(value) : value;
+        // null直接作为键，避免与字符串'null'混淆
+        const key = typeof value === 'object' && value !== null ? JSON.stringify(value) : value;
         
         if (this.indices.has(key)) {
             return this.indices.get(key);
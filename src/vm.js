@@ -1,15 +1,99 @@
+const { Script, createContext } = require('vm');
+const { types } = require('util');
 const { OpCodes, OpCodeNames } = require('./opcodes');
 
+/**
+ * 暂时性死区标记：let/const绑定在初始化之前的值
+ */
+const UNINITIALIZED = Symbol('uninitialized');
+
+/**
+ * 生成器对象上保存挂起状态的键
+ */
+const GENERATOR_STATE = Symbol('generatorState');
+
+/**
+ * 生成器原型方法上记录恢复方式（next/return/throw）的键
+ */
+const GENERATOR_METHOD = Symbol('generatorMethod');
+
+/**
+ * 虚拟机函数原型方法上记录方法名（call/apply/bind/toString）的键
+ */
+const FUNCTION_METHOD = Symbol('functionMethod');
+
+/**
+ * bind创建的绑定函数上记录目标函数、this和预置实参的键
+ */
+const BOUND_FUNCTION = Symbol('boundFunction');
+
+/**
+ * 宿主中由字符串编译并执行代码的构造函数：脚本读取属性或调用宿主函数都得不到它们，也不能调用它们
+ */
+const HOST_CODE_CONSTRUCTORS = new Set([
+    Function,
+    Object.getPrototypeOf(async function () {}).constructor,
+    Object.getPrototypeOf(function* () {}).constructor,
+    Object.getPrototypeOf(async function* () {}).constructor
+]);
+
+/**
+ * 可选的标准库配置，后一项包含前一项的全部内置对象
+ */
+const STDLIB_PROFILES = ['minimal', 'es5', 'es2020'];
+
+/**
+ * 环境记录：块级作用域、函数作用域和全局作用域共用同一结构
+ * 闭包按引用持有创建时的环境记录，与所在栈帧及同一环境中创建的其他闭包共享绑定
+ */
+class Scope {
+    constructor(parent = null, vars = new Map()) {
+        this.parent = parent; // 外层环境记录
+        this.vars = vars; // 绑定名 -> 值
+        this.consts = new Set(); // const绑定名
+    }
+
+    /**
+     * 沿作用域链查找声明了该绑定的作用域
+     * @param {string} name - 绑定名
+     * @returns {Scope|null} 找到的作用域
+     */
+    lookup(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.vars.has(name)) return scope;
+        }
+        return null;
+    }
+
+    /**
+     * 复制作用域（同一外层作用域，绑定值相同），用于for循环每次迭代的新绑定
+     * @returns {Scope} 新作用域
+     */
+    clone() {
+        const copy = new Scope(this.parent, new Map(this.vars));
+        this.consts.forEach(name => copy.consts.add(name));
+        return copy;
+    }
+}
+
 /**
  * 调用栈帧
  */
 class CallFrame {
     constructor(returnAddress, locals = new Map(), isConstructorCall = false, newInstance = null, currentFunction = null) {
         this.returnAddress = returnAddress;
-        this.locals = locals; // 局部变量
+        this.locals = locals; // 函数作用域的绑定（参数、var、函数声明、this、arguments）
         this.isConstructorCall = isConstructorCall; // 是否为构造函数调用
         this.newInstance = newInstance; // 构造函数调用时创建的新实例
         this.currentFunction = currentFunction; // 当前正在执行的函数对象
+        this.handlers = []; // 异常处理器栈：{ address, stackHeight, scope }
+        this.scope = null; // 当前环境记录（块级作用域链，最外层为函数作用域）
+        this.args = []; // 调用时传入的实参
+        this.resultOverride = null; // 非null时RET以其value作为调用结果（setter调用）
+        this.generator = null; // 生成器函数的栈帧所属的生成器对象
+        this.asyncState = null; // async函数栈帧的挂起状态与结果Promise
+        this.stackBase = 0; // 生成器/async栈帧恢复执行时操作数栈的起始高度
+        this.superCaller = null; // super()调用的父类构造函数栈帧：返回时把结果绑定为调用方的this
     }
 }
 
@@ -18,10 +102,22 @@ class CallFrame {
  * 执行字节码指令
  */
 class VirtualMachine {
-    constructor() {
+    /**
+     * @param {object} options - 虚拟机选项
+     * @param {string} options.profile - 标准库配置：minimal、es5或es2020（默认）
+     */
+    constructor(options = {}) {
+        this.profile = options.profile || 'es2020';
+        if (!STDLIB_PROFILES.includes(this.profile)) {
+            throw new Error(`未知的标准库配置: ${this.profile}，可选: ${STDLIB_PROFILES.join('、')}`);
+        }
         this.stack = []; // 操作数栈
         this.callStack = []; // 调用栈
+        this.rootFrame = new CallFrame(-1); // 顶层代码的栈帧（不在调用栈中）
         this.globals = new Map(); // 全局变量
+        this.implicitGlobals = new Set(); // 给未声明的变量赋值而创建的全局变量，可以被delete删除
+        this.globalScope = new Scope(null, this.globals); // 全局环境记录（var和函数声明），顶层let/const在其上的块级作用域中
+        this.rootFrame.scope = this.globalScope;
         this.pc = 0; // 程序计数器
         this.bytecode = null;
         this.debug = false;
@@ -30,8 +126,25 @@ class VirtualMachine {
         this.maxInstructions = 200000;
         this.debugProgressInterval = 1000;
         this.executionHotspots = new Map();
-        this.builtins = this.setupBuiltins();
-        this.closureIdCounter = 0; // 闭包ID计数器
+        this.maxRegExpTime = 1000; // 单次正则表达式匹配的最长时间（毫秒），0表示不限制
+        this.regExpSandbox = null; // 执行受时间限制的正则匹配所用的上下文与脚本，首次匹配时创建
+        this.RegExpConstructor = this.createRegExpConstructor(); // 正则表达式字面量在任何标准库配置下都可用
+        // 经由原型链等途径得到的原生RegExp及其exec不受时间限制，交给脚本时换成受限制的版本
+        this.hostValueReplacements = new Map([
+            [RegExp, this.RegExpConstructor],
+            [RegExp.prototype.exec, this.RegExpConstructor.prototype.exec]
+        ]);
+        this.builtins = this.setupBuiltins(this.profile);
+        this.hasVMAccessors = false; // 是否定义过虚拟机函数实现的getter/setter
+        this.generatorPrototype = this.createGeneratorPrototype();
+        this.functionPrototype = this.createFunctionPrototype();
+        this.microtasks = []; // 虚拟机自己的微任务队列（async函数的恢复任务）
+        this.drainingMicrotasks = false;
+        this.templateObjects = new WeakMap(); // TEMPLATE_OBJECT指令 -> 该位置的标签模板字符串数组
+        this.running = false; // 是否正在执行脚本（宿主在脚本结束后回调时重新计算指令数量限制）
+        this.hostCallDepth = 0; // 宿主回调虚拟机函数的当前嵌套层数
+        this.maxHostCallDepth = 100; // 宿主回调的最大嵌套层数，每层都占用宿主的调用栈
+        this.hostBoundary = null; // 当前宿主回调进入时的调用栈深度，异常不会展开到它之下的栈帧
     }
 
     /**
@@ -200,12 +313,58 @@ class VirtualMachine {
     }
 
     /**
-     * 设置内置函数
+     * 按标准库配置设置内置全局变量，后一级配置包含前一级的全部内容
+     * minimal：undefined、NaN、Infinity与Object、Array、String、Number、Boolean
+     * es5：再加上Math、JSON、Date、RegExp、Error系列、全局函数、console以及Buffer、require等兼容对象
+     * es2020：再加上Symbol、集合、Promise、Reflect、Proxy、BigInt、类型化数组与globalThis
+     * 任何配置都不提供Function与eval，它们会在宿主中编译并执行代码；
+     * 经由宿主函数的constructor等属性、super、宿主函数的返回值（包括其中的数组和普通对象）或回调实参也得不到宿主的Function构造函数
+     * @param {string} profile - 标准库配置
      * @returns {Map} 内置函数映射
      */
-    setupBuiltins() {
+    setupBuiltins(profile) {
         const builtins = new Map();
         
+        // 添加JavaScript全局常量
+        builtins.set('undefined', undefined);
+        builtins.set('NaN', NaN);
+        builtins.set('Infinity', Infinity);
+        
+        // 添加JavaScript内置对象
+        builtins.set('Object', Object);
+        builtins.set('String', String);
+        builtins.set('Number', Number);
+        builtins.set('Boolean', Boolean);
+        
+        // Array对象 - 提供数组构造函数和常用方法
+        builtins.set('Array', function(...args) {
+            if (args.length === 0) {
+                return [];
+            } else if (args.length === 1 && typeof args[0] === 'number') {
+                // new Array(length)
+                const length = args[0];
+                if (length < 0 || !Number.isInteger(length)) {
+                    throw new RangeError('Invalid array length');
+                }
+                return new Array(length);
+            } else {
+                // new Array(element0, element1, ..., elementN)
+                return Array.from(args);
+            }
+        });
+        
+        // 添加 Array 的静态方法
+        const ArrayConstructor = builtins.get('Array');
+        ArrayConstructor.isArray = Array.isArray;
+        ArrayConstructor.from = Array.from;
+        ArrayConstructor.of = Array.of;
+        // 共享原生数组原型，使instanceof Array与Array.prototype方法可用
+        ArrayConstructor.prototype = Array.prototype;
+        
+        if (profile === 'minimal') {
+            return builtins;
+        }
+        
         // console.log
         builtins.set('console', {
             log: (...args) => {
@@ -214,23 +373,26 @@ class VirtualMachine {
             }
         });
         
-        // Math对象 - 提供常用的数学函数和常量
-        builtins.set('Math', {
-            PI: Math.PI,
-            E: Math.E,
-            abs: Math.abs,
-            floor: Math.floor,
-            ceil: Math.ceil,
-            round: Math.round,
-            max: Math.max,
-            min: Math.min,
-            pow: Math.pow,
-            sqrt: Math.sqrt,
-            sin: Math.sin,
-            cos: Math.cos,
-            tan: Math.tan,
-            random: Math.random
-        });
+        // Math对象 - 复制原生Math的全部函数和常量，脚本修改它不会影响宿主
+        const math = {};
+        for (const name of Object.getOwnPropertyNames(Math)) {
+            math[name] = Math[name];
+        }
+        builtins.set('Math', math);
+        
+        // JSON - 复制原生JSON的方法；toJSON、replacer、reviver可以是虚拟机函数
+        builtins.set('JSON', { parse: JSON.parse, stringify: JSON.stringify });
+        builtins.set('Date', Date);
+        builtins.set('RegExp', this.RegExpConstructor);
+        
+        // Error及各种错误类型，VM中抛出的原生错误同样是它们的实例
+        builtins.set('Error', Error);
+        builtins.set('TypeError', TypeError);
+        builtins.set('RangeError', RangeError);
+        builtins.set('SyntaxError', SyntaxError);
+        builtins.set('ReferenceError', ReferenceError);
+        builtins.set('EvalError', EvalError);
+        builtins.set('URIError', URIError);
         
         // 添加一些常用的全局函数
         builtins.set('parseInt', parseInt);
@@ -246,22 +408,6 @@ class VirtualMachine {
         builtins.set('escape', escape);
         builtins.set('unescape', unescape);
         
-        // 添加JavaScript内置对象
-        builtins.set('String', String);
-        builtins.set('Number', Number);
-        builtins.set('Boolean', Boolean);
-        builtins.set('Object', Object);
-        
-        // 添加类型化数组支持
-        builtins.set('Uint32Array', this.createUint32ArrayMock());
-        builtins.set('Uint8Array', Uint8Array);
-        builtins.set('Int32Array', Int32Array);
-        
-        // 添加JavaScript全局常量
-        builtins.set('undefined', undefined);
-        builtins.set('NaN', NaN);
-        builtins.set('Infinity', Infinity);
-        
         // 添加Buffer类模拟
         builtins.set('Buffer', this.createBufferMock());
         
@@ -291,33 +437,93 @@ class VirtualMachine {
         });
         builtins.set('exports', exportsObject);
         
-        // Array对象 - 提供数组构造函数和常用方法
-        builtins.set('Array', function(...args) {
-            if (args.length === 0) {
-                return [];
-            } else if (args.length === 1 && typeof args[0] === 'number') {
-                // new Array(length)
-                const length = args[0];
-                if (length < 0 || !Number.isInteger(length)) {
-                    throw new RangeError('Invalid array length');
-                }
-                return new Array(length);
-            } else {
-                // new Array(element0, element1, ..., elementN)
-                return Array.from(args);
-            }
-        });
+        if (profile === 'es5') {
+            return builtins;
+        }
         
-        // 添加 Array 的静态方法
-        const ArrayConstructor = builtins.get('Array');
-        ArrayConstructor.isArray = Array.isArray;
-        ArrayConstructor.from = Array.from;
-        ArrayConstructor.of = Array.of;
+        // Symbol（含Symbol.iterator等知名符号）与集合类型
+        builtins.set('Symbol', Symbol);
+        builtins.set('Map', Map);
+        builtins.set('Set', Set);
+        builtins.set('WeakMap', WeakMap);
+        builtins.set('WeakSet', WeakSet);
+        
+        builtins.set('Promise', Promise);
+        builtins.set('BigInt', BigInt);
+        builtins.set('Reflect', Reflect);
+        builtins.set('Proxy', Proxy);
+        
+        // 添加类型化数组支持
+        builtins.set('ArrayBuffer', ArrayBuffer);
+        builtins.set('DataView', DataView);
+        builtins.set('Int8Array', Int8Array);
+        builtins.set('Uint8Array', Uint8Array);
+        builtins.set('Uint8ClampedArray', Uint8ClampedArray);
+        builtins.set('Int16Array', Int16Array);
+        builtins.set('Uint16Array', Uint16Array);
+        builtins.set('Int32Array', Int32Array);
+        builtins.set('Uint32Array', this.createUint32ArrayMock());
+        builtins.set('Float32Array', Float32Array);
+        builtins.set('Float64Array', Float64Array);
+        builtins.set('BigInt64Array', BigInt64Array);
+        builtins.set('BigUint64Array', BigUint64Array);
         
         return builtins;
     }
 
+    /**
+     * 创建虚拟机的RegExp构造函数，可以不带new调用
+     * 创建的对象是原生RegExp的子类，exec在时间限制内执行；test、match、replace、split、search
+     * 等方法都经由exec匹配，同样受限制
+     * @returns {Function} RegExp构造函数
+     */
+    createRegExpConstructor() {
+        const vm = this;
+        class SandboxRegExp extends RegExp {
+            exec(string) {
+                return vm.runWithRegExpBudget(() => super.exec(string));
+            }
+        }
+        Object.defineProperty(SandboxRegExp, 'name', { value: 'RegExp' });
+        
+        const RegExpConstructor = function RegExp(pattern, flags) {
+            return new SandboxRegExp(pattern, flags);
+        };
+        RegExpConstructor.prototype = SandboxRegExp.prototype;
+        Object.defineProperty(SandboxRegExp.prototype, 'constructor', {
+            value: RegExpConstructor, writable: true, enumerable: false, configurable: true
+        });
+        // split、matchAll按species创建新的正则表达式，保证它们同样受时间限制
+        Object.defineProperty(RegExpConstructor, Symbol.species, { get() { return this; }, configurable: true });
+        return RegExpConstructor;
+    }
 
+    /**
+     * 在时间限制内执行一次正则匹配：借助Node的vm模块超时中断灾难性回溯
+     * @param {Function} match - 执行匹配的函数
+     * @returns {any} 匹配结果
+     */
+    runWithRegExpBudget(match) {
+        if (!(this.maxRegExpTime > 0)) {
+            return match();
+        }
+        if (!this.regExpSandbox) {
+            this.regExpSandbox = { context: createContext({ match: null }), script: new Script('match()') };
+        }
+        const { context, script } = this.regExpSandbox;
+        const previous = context.match;
+        context.match = match;
+        try {
+            return script.runInContext(context, { timeout: this.maxRegExpTime });
+        } catch (error) {
+            if (error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                throw new RangeError(`正则表达式匹配超过时间限制 (${this.maxRegExpTime}ms)`);
+            }
+            throw error;
+        } finally {
+            context.match = previous;
+        }
+    }
 
     /**
      * 执行字节码
@@ -331,12 +537,15 @@ class VirtualMachine {
         this.pc = 0;
         this.stack = [];
         this.callStack = [];
+        this.rootFrame = new CallFrame(-1);
         this.instructionCount = 0; // 指令执行计数器
         this.maxInstructions = 200000; // 最大指令执行数量，防止死循环
         
         // 只有在需要时才重置全局变量
         if (resetGlobals) {
             this.globals = new Map();
+            this.implicitGlobals = new Set();
+            this.globalScope = new Scope(null, this.globals);
             
             // 注入内置函数
             for (const [key, value] of this.builtins) {
@@ -348,6 +557,9 @@ class VirtualMachine {
             const globalThis = new Proxy({}, {
                 set: (target, property, value) => {
                     target[property] = value;
+                    if (!vm.globals.has(property)) {
+                        vm.implicitGlobals.add(property);
+                    }
                     vm.globals.set(property, value); // 使用保存的VM实例引用
                     return true;
                 },
@@ -359,8 +571,13 @@ class VirtualMachine {
                 }
             });
             this.globals.set('this', globalThis);
+            if (this.profile === 'es2020') {
+                this.globals.set('globalThis', globalThis);
+            }
         }
         
+        this.rootFrame.scope = this.globalScope;
+        
         // 注入上下文变量
         for (const [key, value] of Object.entries(context)) {
             this.globals.set(key, value);
@@ -368,6 +585,7 @@ class VirtualMachine {
 
         
         let result = undefined;
+        this.running = true;
         
         try {
             while (this.pc < this.bytecode.instructions.length) {
@@ -388,7 +606,15 @@ class VirtualMachine {
                     this.debugInstruction(instruction);
                 }
                 
-                result = this.executeInstruction(instruction);
+                try {
+                    result = this.executeInstruction(instruction);
+                } catch (error) {
+                    // 交给虚拟机内的异常处理器，没有处理器时才抛给宿主
+                    if (this.handleException(error)) {
+                        continue;
+                    }
+                    throw error;
+                }
                 this.pc++;
                 
                 // 如果遇到HALT指令，停止执行
@@ -396,6 +622,12 @@ class VirtualMachine {
                     break;
                 }
             }
+            
+            // 脚本同步部分结束后清空微任务队列，async函数在此依次恢复
+            if (this.stack.length > 0) {
+                result = this.stack[this.stack.length - 1];
+            }
+            this.drainMicrotasks();
         } catch (error) {
             // 获取错误位置的源码信息
             const sourceInfo = this.bytecode.getSourceInfo(this.pc);
@@ -411,13 +643,115 @@ class VirtualMachine {
                 }
             }
             
-            errorMsg += `: ${error.message}`;
+            // 脚本可以throw任意值，抛给宿主时统一包装为Error
+            const hostError = error instanceof Error ? error : new Error(String(error));
+            errorMsg += `: ${hostError.message}`;
             console.error(`❌ ${errorMsg}`);
-            throw error;
+            throw hostError;
+        } finally {
+            this.running = false;
         }
         
-        // 返回栈顶的值作为结果，如果栈为空返回undefined
-        return this.stack.length > 0 ? this.stack[this.stack.length - 1] : result;
+        // 返回脚本同步部分结束时栈顶的值作为结果，如果栈为空返回undefined
+        return result;
+    }
+
+    /**
+     * 执行一条指令，异常交给虚拟机内的处理器
+     * 用于在主循环之外恢复async函数
+     */
+    step() {
+        const instruction = this.bytecode.instructions[this.pc];
+        this.instructionCount++;
+        if (this.instructionCount > this.maxInstructions) {
+            throw new Error(`执行指令数量超过限制 (${this.maxInstructions})，可能存在死循环`);
+        }
+        if (this.debug) {
+            this.debugInstruction(instruction);
+        }
+        try {
+            this.executeInstruction(instruction);
+        } catch (error) {
+            if (this.handleException(error)) {
+                return;
+            }
+            throw error;
+        }
+        this.pc++;
+    }
+
+    /**
+     * 加入微任务
+     * @param {Function} job - 任务
+     */
+    enqueueMicrotask(job) {
+        this.microtasks.push(job);
+    }
+
+    /**
+     * 按加入顺序执行微任务，直到队列为空；任务中加入的新任务在同一轮中执行
+     */
+    drainMicrotasks() {
+        if (this.drainingMicrotasks) {
+            return;
+        }
+        this.drainingMicrotasks = true;
+        try {
+            while (this.microtasks.length > 0) {
+                const job = this.microtasks.shift();
+                job();
+            }
+        } finally {
+            this.drainingMicrotasks = false;
+        }
+    }
+
+    /**
+     * 获取当前栈帧，顶层代码使用rootFrame
+     * @returns {CallFrame} 当前栈帧
+     */
+    getCurrentFrame() {
+        return this.callStack.length > 0 ? this.callStack[this.callStack.length - 1] : this.rootFrame;
+    }
+
+    /**
+     * 查找异常处理器并展开调用栈
+     * 从当前栈帧开始逐帧查找，找到处理器后恢复操作数栈高度、压入异常值并跳转到处理器入口
+     * @param {any} error - 抛出的异常值（脚本throw的值或宿主异常）
+     * @returns {boolean} 是否找到处理器
+     */
+    handleException(error) {
+        while (true) {
+            // 宿主回调的边界：异常抛回宿主，不进入调用宿主函数的那些栈帧
+            if (this.hostBoundary !== null && this.callStack.length <= this.hostBoundary) {
+                return false;
+            }
+            const frame = this.getCurrentFrame();
+            if (frame.handlers.length > 0) {
+                const handler = frame.handlers.pop();
+                this.stack.length = handler.stackHeight;
+                frame.scope = handler.scope;
+                this.stack.push(error);
+                this.pc = handler.address;
+                return true;
+            }
+            if (this.callStack.length === 0) {
+                return false;
+            }
+            const unwound = this.callStack.pop();
+            // 异常离开生成器函数体后，生成器结束
+            if (unwound.generator) {
+                this.finishGenerator(unwound.generator);
+            }
+            // 异常离开async函数体：拒绝其Promise，调用方得到该Promise并继续执行
+            if (unwound.asyncState) {
+                this.stack.length = unwound.stackBase;
+                unwound.asyncState.reject(error);
+                this.stack.push(unwound.asyncState.promise);
+                this.pc = unwound.returnAddress + 1;
+                return true;
+            }
+        }
     }
 
     /**
@@ -435,6 +769,10 @@ class VirtualMachine {
                 return this.executePop();
             case OpCodes.DUP:
                 return this.executeDup();
+            case OpCodes.ROLL:
+                return this.executeRoll(operand);
+            case OpCodes.PICK:
+                return this.executePick(operand);
             case OpCodes.ADD:
                 return this.executeAdd();
             case OpCodes.SUB:
@@ -447,6 +785,8 @@ class VirtualMachine {
                 return this.executeMod();
             case OpCodes.NEG:
                 return this.executeNeg();
+            case OpCodes.EXP:
+                return this.executeExp();
             case OpCodes.SHL:
                 return this.executeShl();
             case OpCodes.SHR:
@@ -473,6 +813,14 @@ class VirtualMachine {
                 return this.executeGt();
             case OpCodes.GE:
                 return this.executeGe();
+            case OpCodes.LOOSE_EQ:
+                return this.executeLooseEq();
+            case OpCodes.LOOSE_NE:
+                return this.executeLooseNe();
+            case OpCodes.IN:
+                return this.executeIn();
+            case OpCodes.INSTANCEOF:
+                return this.executeInstanceof();
             case OpCodes.AND:
                 return this.executeAnd();
             case OpCodes.OR:
@@ -487,18 +835,50 @@ class VirtualMachine {
                 return this.executeStore(operand);
             case OpCodes.DECLARE:
                 return this.executeDeclare(operand);
+            case OpCodes.DECLARE_VARS:
+                return this.executeDeclareVars(operand);
+            case OpCodes.DECLARE_LET:
+                return this.executeDeclareLexical(operand, false);
+            case OpCodes.DECLARE_CONST:
+                return this.executeDeclareLexical(operand, true);
+            case OpCodes.ENTER_BLOCK:
+                return this.executeEnterBlock(operand);
+            case OpCodes.LEAVE_BLOCK:
+                return this.executeLeaveBlock();
+            case OpCodes.RENEW_BLOCK:
+                return this.executeRenewBlock();
             case OpCodes.JMP:
                 return this.executeJmp(operand);
             case OpCodes.JIF:
                 return this.executeJif(operand);
             case OpCodes.JNF:
                 return this.executeJnf(operand);
+            case OpCodes.JNN:
+                return this.executeJnn(operand);
             case OpCodes.CALL:
                 return this.executeCall(operand);
             case OpCodes.CALL_METHOD:
                 return this.executeCallMethod(operand);
+            case OpCodes.CALL_SPREAD:
+                return this.executeCallSpread();
+            case OpCodes.CALL_METHOD_SPREAD:
+                return this.executeCallMethodSpread();
             case OpCodes.RET:
                 return this.executeRet();
+            case OpCodes.CLOSURE:
+                return this.executeClosure(operand);
+            case OpCodes.SUPER_CALL:
+                return this.executeSuperCall();
+            case OpCodes.YIELD:
+                return this.executeYield(operand);
+            case OpCodes.AWAIT:
+                return this.executeAwait();
+            case OpCodes.YIELD_RESUME:
+                return this.executeYieldResume(operand);
+            case OpCodes.YIELD_DELEGATE:
+                return this.executeYieldDelegate(operand);
+            case OpCodes.DELEGATE_RESULT:
+                return this.executeDelegateResult(operand);
             case OpCodes.GET_PROP:
                 return this.executeGetProp();
             case OpCodes.NEW_ARR:
@@ -513,14 +893,44 @@ class VirtualMachine {
                 return this.executeSetProp();
             case OpCodes.NEW:
                 return this.executeNew(operand);
+            case OpCodes.NEW_SPREAD:
+                return this.executeNewSpread();
+            case OpCodes.DEFINE_PROP:
+                return this.executeDefineProp(operand);
+            case OpCodes.OBJECT_SPREAD:
+                return this.executeObjectSpread();
+            case OpCodes.TEMPLATE_OBJECT:
+                return this.executeTemplateObject(operand);
+            case OpCodes.DELETE_PROP:
+                return this.executeDeleteProp(operand);
+            case OpCodes.NEW_REGEXP:
+                return this.executeNewRegExp(operand);
+            case OpCodes.FOR_IN_KEYS:
+                return this.executeForInKeys();
+            case OpCodes.DEFINE_CLASS:
+                return this.executeDefineClass();
+            case OpCodes.DEFINE_METHOD:
+                return this.executeDefineMethod(operand);
+            case OpCodes.GET_SUPER:
+                return this.executeGetSuper();
+            case OpCodes.OBJECT_REST:
+                return this.executeObjectRest(operand);
+            case OpCodes.ARRAY_PUSH:
+                return this.executeArrayPush();
+            case OpCodes.GET_ITER:
+                return this.executeGetIter();
+            case OpCodes.ITER_INIT:
+                return this.executeIterInit();
+            case OpCodes.ITER_NEXT:
+                return this.executeIterNext(operand);
+            case OpCodes.ITER_VALUE:
+                return this.executeIterValue(operand);
+            case OpCodes.ITER_CLOSE:
+                return this.executeIterClose(operand);
             case OpCodes.THROW:
                 return this.executeThrow();
             case OpCodes.TRY:
-                return this.executeTry();
-            case OpCodes.CATCH:
-                return this.executeCatch();
-            case OpCodes.FINALLY:
-                return this.executeFinally();
+                return this.executeTry(operand);
             case OpCodes.END_TRY:
                 return this.executeEndTry();
             case OpCodes.BREAK:
@@ -565,6 +975,34 @@ class VirtualMachine {
         return value;
     }
 
+    /**
+     * ROLL指令：把距栈顶第n个元素移到栈顶
+     * @param {number} operand - 元素距栈顶的位置（栈顶为0）
+     */
+    executeRoll(operand) {
+        const index = this.stack.length - 1 - operand;
+        if (index < 0) {
+            throw new Error(`栈中元素不足，无法移动第${operand}个元素`);
+        }
+        const [value] = this.stack.splice(index, 1);
+        this.stack.push(value);
+        return value;
+    }
+
+    /**
+     * PICK指令：复制距栈顶第n个元素到栈顶
+     * @param {number} operand - 元素距栈顶的位置（栈顶为0）
+     */
+    executePick(operand) {
+        const index = this.stack.length - 1 - operand;
+        if (index < 0) {
+            throw new Error(`栈中元素不足，无法复制第${operand}个元素`);
+        }
+        const value = this.stack[index];
+        this.stack.push(value);
+        return value;
+    }
+
     /**
      * ADD指令：加法运算
      */
@@ -633,6 +1071,17 @@ class VirtualMachine {
         return result;
     }
 
+    /**
+     * EXP指令：幂运算
+     */
+    executeExp() {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        const result = a ** b;
+        this.stack.push(result);
+        return result;
+    }
+
     /**
      * SHL指令：左移运算
      */
@@ -710,7 +1159,7 @@ class VirtualMachine {
     }
 
     /**
-     * EQ指令：相等比较
+     * EQ指令：严格相等比较
      */
     executeEq() {
         const b = this.stack.pop();
@@ -721,7 +1170,7 @@ class VirtualMachine {
     }
 
     /**
-     * NE指令：不等比较
+     * NE指令：严格不等比较
      */
     executeNe() {
         const b = this.stack.pop();
@@ -732,62 +1181,149 @@ class VirtualMachine {
     }
 
     /**
-     * LT指令：小于比较
+     * LOOSE_EQ指令：抽象相等比较（==），null与undefined相等，其余按规范进行类型转换
      */
-    executeLt() {
+    executeLooseEq() {
         const b = this.stack.pop();
         const a = this.stack.pop();
-        const result = a < b;
+        const result = a == b;
         this.stack.push(result);
         return result;
     }
 
     /**
-     * LE指令：小于等于比较
+     * LOOSE_NE指令：抽象不等比较（!=）
      */
-    executeLe() {
+    executeLooseNe() {
         const b = this.stack.pop();
         const a = this.stack.pop();
-        const result = a <= b;
+        const result = a != b;
         this.stack.push(result);
         return result;
     }
 
     /**
-     * GT指令：大于比较
+     * IN指令：检查属性是否存在于对象或其原型链上
      */
-    executeGt() {
-        const b = this.stack.pop();
-        const a = this.stack.pop();
-        const result = a > b;
+    executeIn() {
+        const object = this.stack.pop();
+        const key = this.stack.pop();
+        
+        if (object === null || (typeof object !== 'object' && typeof object !== 'function')) {
+            throw new TypeError(`不能在非对象中使用'in'运算符查找 '${String(key)}'`);
+        }
+        
+        const result = key in object;
         this.stack.push(result);
         return result;
     }
 
     /**
-     * GE指令：大于等于比较
+     * INSTANCEOF指令：检查构造函数的prototype是否在对象的原型链上
+     * 虚拟机定义的构造函数（函数对象）沿原型链比较prototype，宿主函数使用原生instanceof
      */
-    executeGe() {
-        const b = this.stack.pop();
-        const a = this.stack.pop();
-        const result = a >= b;
+    executeInstanceof() {
+        let constructor = this.stack.pop();
+        const value = this.stack.pop();
+        let result;
+        
+        // 绑定函数按其目标函数判断
+        while (typeof constructor === 'function' && constructor[BOUND_FUNCTION]) {
+            constructor = constructor[BOUND_FUNCTION].target;
+        }
+        if (this.isFunctionObject(constructor)) {
+            if (constructor.isArrow) {
+                throw new TypeError(`instanceof右侧不是可调用的构造函数: ${constructor.name || 'anonymous'}`);
+            }
+            result = this.isInPrototypeChain(value, constructor.prototype);
+        } else if (typeof constructor === 'function') {
+            result = value instanceof constructor;
+        } else {
+            throw new TypeError(`instanceof右侧不是可调用的对象: ${this.formatValue(constructor)}`);
+        }
+        
         this.stack.push(result);
         return result;
     }
 
     /**
-     * AND指令：逻辑与
+     * 检查prototype是否在值的原型链上
+     * @param {any} value - 被检查的值
+     * @param {any} prototype - 构造函数的prototype
+     * @returns {boolean} 是否在原型链上
      */
-    executeAnd() {
+    isInPrototypeChain(value, prototype) {
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+            return false;
+        }
+        if (prototype === null || typeof prototype !== 'object') {
+            return false;
+        }
+        for (let current = Object.getPrototypeOf(value); current !== null; current = Object.getPrototypeOf(current)) {
+            if (current === prototype) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * LT指令：小于比较
+     */
+    executeLt() {
         const b = this.stack.pop();
         const a = this.stack.pop();
-        const result = a && b;
+        const result = a < b;
         this.stack.push(result);
         return result;
     }
 
     /**
-     * OR指令：逻辑或
+     * LE指令：小于等于比较
+     */
+    executeLe() {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        const result = a <= b;
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * GT指令：大于比较
+     */
+    executeGt() {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        const result = a > b;
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * GE指令：大于等于比较
+     */
+    executeGe() {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        const result = a >= b;
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * AND指令：逻辑与
+     */
+    executeAnd() {
+        const b = this.stack.pop();
+        const a = this.stack.pop();
+        const result = a && b;
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * OR指令：逻辑或
      */
     executeOr() {
         const b = this.stack.pop();
@@ -820,9 +1356,6 @@ class VirtualMachine {
             typeString = 'object';
         } else if (typeof value === 'function') {
             typeString = 'function';
-        } else if (typeof value === 'object' && value !== null && value.startAddress !== undefined) {
-            // 用户定义函数对象
-            typeString = 'function';
         } else {
             typeString = typeof value;
         }
@@ -832,59 +1365,24 @@ class VirtualMachine {
     }
 
     /**
-     * LOAD指令：加载变量（重新设计的闭包优先查找机制 + 调试版本）
+     * LOAD指令：加载变量
+     * 沿当前环境链查找：块级作用域 -> 函数作用域 -> 函数创建时的外层环境 -> 全局变量
      */
     executeLoad(operand) {
         const varName = this.bytecode.constantPool.get(operand);
-        
-        if (this.callStack.length > 0) {
-            // 1. 优先级最高：当前函数的闭包环境
-            const currentFrame = this.callStack[this.callStack.length - 1];
-            if (currentFrame.currentFunction && 
-                currentFrame.currentFunction._closureEnv && 
-                currentFrame.currentFunction._closureEnv.has(varName)) {
-                const value = currentFrame.currentFunction._closureEnv.get(varName);
-                
-                // 调试信息：记录闭包变量访问
-                if (this.debug && this.debugLevel === 'verbose') {
-                    console.log(`🔍 LOAD闭包变量 ${varName}: ${value}`);
-                }
-                
-                this.stack.push(value);
-                return value;
+        const scope = this.getCurrentFrame().scope.lookup(varName);
+        if (scope) {
+            const value = scope.vars.get(varName);
+            if (value === UNINITIALIZED) {
+                throw new ReferenceError(varName === 'this'
+                    ? '派生类的构造函数必须先调用super()才能访问this'
+                    : `初始化之前无法访问变量: ${varName}`);
             }
-            
-            // 2. 然后查找调用栈的所有层级的局部变量
-            for (let i = this.callStack.length - 1; i >= 0; i--) {
-                const frame = this.callStack[i];
-                if (frame.locals.has(varName)) {
-                    const value = frame.locals.get(varName);
-                    
-                    // 调试信息：记录局部变量访问
-                    if (this.debug && this.debugLevel === 'verbose') {
-                        console.log(`🔍 LOAD局部变量 ${varName}: ${value}`);
-                    }
-                    
-                    this.stack.push(value);
-                    return value;
-                }
-            }
-        }
-        
-        // 3. 查找全局变量
-        if (this.globals.has(varName)) {
-            const value = this.globals.get(varName);
-            
-            // 调试信息：记录函数对象的加载
-            if (this.debug && this.debugLevel === 'verbose') {
-                console.log(`🔍 LOAD全局函数 ${varName}`);
-            }
-            
             this.stack.push(value);
             return value;
         }
         
-        // 4. 最后尝试从全局this对象中查找
+        // 最后尝试从全局this对象中查找
         const globalThis = this.globals.get('this');
         if (globalThis && typeof globalThis === 'object') {
             if (varName in globalThis) {
@@ -896,7 +1394,7 @@ class VirtualMachine {
         
         // 变量未找到，生成详细的调试信息
         this.generateVariableDebugInfo(varName);
-        throw new Error(`未定义的变量: ${varName}`);
+        throw new ReferenceError(`未定义的变量: ${varName}`);
     }
 
     /**
@@ -990,9 +1488,9 @@ class VirtualMachine {
         // 5. 比较运算：扫描后续指令寻找比较运算符
         for (let i = 1; i <= 3 && currentPC + i < instructions.length; i++) {
             const futureInstr = instructions[currentPC + i];
-            const compOpcodes = [0x20, 0x21, 0x22, 0x23, 0x24, 0x25]; // EQ, NE, LT, LE, GT, GE
+            const compOpcodes = [0x20, 0x21, 0x22, 0x23, 0x24, 0x25, 0x26, 0x27]; // EQ, NE, LT, LE, GT, GE, LOOSE_EQ, LOOSE_NE
             if (compOpcodes.includes(futureInstr.opcode)) {
-                const opNames = {0x20: '相等', 0x21: '不相等', 0x22: '小于', 0x23: '小于等于', 0x24: '大于', 0x25: '大于等于'};
+                const opNames = {0x20: '严格相等', 0x21: '严格不等', 0x22: '小于', 0x23: '小于等于', 0x24: '大于', 0x25: '大于等于', 0x26: '相等', 0x27: '不相等'};
                 return `比较运算 - "${varName}" 被用在${opNames[futureInstr.opcode]}比较中`;
             }
         }
@@ -1090,61 +1588,108 @@ class VirtualMachine {
         if (value === null) return 'null';
         if (value === undefined) return 'undefined';
         if (typeof value === 'string') return `"${value}"`;
-        if (typeof value === 'function') return '[Function]';
-        if (typeof value === 'object' && value.startAddress !== undefined) {
+        if (this.isFunctionObject(value)) {
             return `[UserFunction:${value.name || 'anonymous'}]`;
         }
+        if (typeof value === 'function') return '[Function]';
         if (typeof value === 'object') return '[Object]';
         return String(value);
     }
 
     /**
-     * STORE指令：存储变量（重新设计的闭包优先存储机制 + 调试版本）
+     * STORE指令：给沿环境链找到的绑定赋值，未声明的变量成为全局变量
      */
     executeStore(operand) {
         const varName = this.bytecode.constantPool.get(operand);
         const value = this.stack.pop();
-        
-        if (this.callStack.length > 0) {
-            // 1. 优先级最高：如果当前函数的闭包环境中有该变量，直接更新闭包环境
-            const currentFrame = this.callStack[this.callStack.length - 1];
-            if (currentFrame.currentFunction && 
-                currentFrame.currentFunction._closureEnv && 
-                currentFrame.currentFunction._closureEnv.has(varName)) {
-                // 直接更新闭包环境，确保闭包变量的独立性
-                currentFrame.currentFunction._closureEnv.set(varName, value);
-                
-                // 调试信息：记录闭包变量更新
-                if (this.debug && this.debugLevel === 'verbose') {
-                    console.log(`🔍 STORE闭包变量 ${varName}: ${value}`);
-                }
-                
-                return value;
-            }
-            
-            // 2. 然后在调用栈的所有层级中查找已存在的局部变量
-            for (let i = this.callStack.length - 1; i >= 0; i--) {
-                const frame = this.callStack[i];
-                if (frame.locals.has(varName)) {
-                    frame.locals.set(varName, value);
-                    
-                    // 调试信息：记录局部变量更新
-                    if (this.debug && this.debugLevel === 'verbose') {
-                        console.log(`🔍 STORE局部变量 ${varName}: ${value}`);
-                    }
-                    
-                    return value;
-                }
-            }
+        const scope = this.getCurrentFrame().scope.lookup(varName);
+        if (scope) {
+            this.assignBinding(scope, varName, value);
+            return value;
         }
-        
-        // 3. 如果在任何局部作用域中都没找到，存储到全局变量
         this.globals.set(varName, value);
+        this.implicitGlobals.add(varName);
         return value;
     }
 
     /**
-     * DECLARE指令：声明变量
+     * 给绑定赋值，检查let/const的暂时性死区和const
+     * @param {Scope} scope - 绑定所在的环境记录
+     * @param {string} varName - 变量名
+     * @param {any} value - 新值
+     */
+    assignBinding(scope, varName, value) {
+        if (scope.vars.get(varName) === UNINITIALIZED) {
+            throw new ReferenceError(`初始化之前无法访问变量: ${varName}`);
+        }
+        if (scope.consts.has(varName)) {
+            throw new TypeError(`不能给常量赋值: ${varName}`);
+        }
+        scope.vars.set(varName, value);
+    }
+
+    /**
+     * DECLARE_LET/DECLARE_CONST指令：初始化当前环境记录中的绑定
+     * 顶层代码没有块级作用域时声明为全局变量
+     * @param {number} operand - 变量名常量索引
+     * @param {boolean} isConst - 是否为const
+     */
+    executeDeclareLexical(operand, isConst) {
+        const varName = this.bytecode.constantPool.get(operand);
+        const value = this.stack.pop();
+        const scope = this.getCurrentFrame().scope;
+        
+        scope.vars.set(varName, value);
+        if (isConst) {
+            scope.consts.add(varName);
+        } else {
+            scope.consts.delete(varName);
+        }
+        return value;
+    }
+
+    /**
+     * ENTER_BLOCK指令：进入块级作用域，绑定在初始化之前处于暂时性死区
+     * @param {number} operand - 绑定名列表常量索引
+     */
+    executeEnterBlock(operand) {
+        const names = this.bytecode.constantPool.get(operand);
+        const frame = this.getCurrentFrame();
+        const scope = new Scope(frame.scope);
+        for (const name of names) {
+            scope.vars.set(name, UNINITIALIZED);
+        }
+        frame.scope = scope;
+        return undefined;
+    }
+
+    /**
+     * LEAVE_BLOCK指令：离开块级作用域
+     */
+    executeLeaveBlock() {
+        const frame = this.getCurrentFrame();
+        if (!frame.scope) {
+            throw new Error('没有可离开的块级作用域');
+        }
+        frame.scope = frame.scope.parent;
+        return undefined;
+    }
+
+    /**
+     * RENEW_BLOCK指令：为下一次循环迭代复制当前块级作用域，
+     * 之前迭代中创建的闭包仍然持有旧的绑定
+     */
+    executeRenewBlock() {
+        const frame = this.getCurrentFrame();
+        if (!frame.scope) {
+            throw new Error('没有可复制的块级作用域');
+        }
+        frame.scope = frame.scope.clone();
+        return undefined;
+    }
+
+    /**
+     * DECLARE指令：在函数作用域（顶层代码为全局变量）中声明var绑定或函数声明
      */
     executeDeclare(operand) {
         const varName = this.bytecode.constantPool.get(operand);
@@ -1155,316 +1700,763 @@ class VirtualMachine {
             console.log(`🔧 声明变量 ${varName}`);
         }
         
-        // 如果在函数内，声明为局部变量
-        if (this.callStack.length > 0) {
-            const currentFrame = this.callStack[this.callStack.length - 1];
-            currentFrame.locals.set(varName, value);
-            
-            // 重要修复：如果函数对象已经有独立的闭包环境，不要重新创建
-            if (typeof value === 'object' && value.startAddress !== undefined && !value._closureEnv) {
-                this.createClosureEnvironment(value, currentFrame);
+        const frame = this.getCurrentFrame();
+        const vars = frame === this.rootFrame ? this.globals : frame.locals;
+        vars.set(varName, value);
+        return value;
+    }
+
+    /**
+     * DECLARE_VARS指令：在函数或程序入口提升var绑定
+     * 已有的绑定（参数、arguments、宿主传入的全局变量）保持原值，其余初始化为undefined
+     * @param {number} operand - 绑定名列表常量索引
+     */
+    executeDeclareVars(operand) {
+        const names = this.bytecode.constantPool.get(operand);
+        const frame = this.getCurrentFrame();
+        const vars = frame === this.rootFrame ? this.globals : frame.locals;
+        for (const name of names) {
+            if (!vars.has(name)) {
+                vars.set(name, undefined);
             }
-        } else {
-            // 否则声明为全局变量
-            this.globals.set(varName, value);
-            
-            // 重要修复：如果函数对象已经有独立的闭包环境，不要重新创建
-            if (typeof value === 'object' && value.startAddress !== undefined && !value._closureEnv) {
-                this.createClosureEnvironmentFromGlobal(value);
+        }
+        return undefined;
+    }
+
+    /**
+     * 检查值是否是函数对象
+     * @param {any} value - 要检查的值
+     * @returns {boolean} 是否是函数对象
+     */
+    isFunctionObject(value) {
+        return typeof value === 'function' &&
+               value.startAddress !== undefined &&
+               Array.isArray(value.params);
+    }
+
+    /**
+     * JMP指令：无条件跳转
+     */
+    executeJmp(operand) {
+        this.pc = operand - 1; // -1因为主循环会自增
+        return undefined;
+    }
+
+    /**
+     * JIF指令：条件跳转(true)
+     */
+    executeJif(operand) {
+        const condition = this.stack.pop();
+        if (condition) {
+            this.pc = operand - 1;
+        }
+        return undefined;
+    }
+
+    /**
+     * JNF指令：条件跳转(false)
+     */
+    executeJnf(operand) {
+        const condition = this.stack.pop();
+        if (!condition) {
+            this.pc = operand - 1;
+        }
+        return undefined;
+    }
+
+    /**
+     * JNN指令：值不是null/undefined时跳转（空值合并运算符的短路）
+     */
+    executeJnn(operand) {
+        const value = this.stack.pop();
+        if (value !== null && value !== undefined) {
+            this.pc = operand - 1;
+        }
+        return undefined;
+    }
+
+    /**
+     * CALL指令：函数调用
+     */
+    executeCall(operand) {
+        const argCount = this.bytecode.constantPool.get(operand);
+        const func = this.stack.pop();
+        const args = this.popArguments(argCount);
+        // 普通函数调用时使用全局this，在方法调用时this会被正确设置
+        return this.callFunction(func, args, this.globals.get('this'));
+    }
+
+    /**
+     * CALL_SPREAD指令：以实参数组调用函数（含展开实参）
+     * 栈：[实参数组, 函数]
+     */
+    executeCallSpread() {
+        const func = this.stack.pop();
+        const args = this.stack.pop();
+        return this.callFunction(func, args, this.globals.get('this'));
+    }
+
+    /**
+     * 从栈中弹出实参（编译器按从右到左的顺序压栈，第一个实参位于栈顶）
+     * @param {number} argCount - 实参个数
+     * @returns {Array} 实参列表
+     */
+    popArguments(argCount) {
+        const args = [];
+        for (let i = 0; i < argCount; i++) {
+            args.push(this.stack.pop());
+        }
+        return args;
+    }
+
+    /**
+     * 调用函数：宿主函数直接执行并压入结果，用户函数压入新栈帧后跳转到函数入口
+     * @param {any} func - 被调用的值
+     * @param {Array} args - 实参列表
+     * @param {any} thisValue - this的值
+     * @returns {any} 宿主函数的返回值（用户函数的返回值由RET压栈）
+     */
+    callFunction(func, args, thisValue) {
+        if (this.isFunctionObject(func)) {
+            this.assertNotClassConstructor(func);
+            if (func.isGenerator) {
+                return this.createGenerator(func, args, thisValue);
+            }
+            if (func.isAsync) {
+                return this.startAsync(func, args, thisValue);
+            }
+            if (func._bytecode && func._bytecode !== this.bytecode) {
+                // 之前某次执行创建的函数：切换到它的字节码重新进入解释循环
+                const result = this.reenter(func, args, thisValue);
+                this.stack.push(result);
+                return result;
             }
+            // 用户定义函数
+            const currentFrame = this.createFunctionFrame(func, args, thisValue);
+            this.callStack.push(currentFrame);
+            this.pc = func.startAddress - 1; // -1因为主循环会自增
+            return undefined;
+        } else if (typeof func === 'function' && func[GENERATOR_METHOD]) {
+            // 生成器的next/return/throw：恢复生成器栈帧
+            return this.resumeGenerator(thisValue, func[GENERATOR_METHOD], args[0]);
+        } else if (typeof func === 'function' && func[FUNCTION_METHOD]) {
+            // 虚拟机函数的call/apply/bind/toString：this是目标函数
+            return this.callFunctionMethod(func[FUNCTION_METHOD], thisValue, args);
+        } else if (typeof func === 'function' && func[BOUND_FUNCTION]) {
+            const { target, boundThis, boundArgs } = func[BOUND_FUNCTION];
+            return this.callFunction(target, boundArgs.concat(args), boundThis);
+        } else if (typeof func === 'function') {
+            // 内置JavaScript函数；作为实参的虚拟机函数本身就是宿主可以调用的函数
+            this.assertNotHostCodeConstructor(func);
+            const result = this.hideHostResult(func.apply(thisValue, args));
+            this.stack.push(result);
+            return result;
+        } else {
+            throw new TypeError(`无法调用非函数对象: ${typeof func}`);
         }
-        
-        return value;
     }
 
     /**
-     * 为函数创建闭包环境，捕获当前作用域中的所有变量
-     * @param {object} func - 函数对象
-     * @param {CallFrame} frame - 当前调用帧
+     * 为用户函数创建调用栈帧，绑定参数和this
+     * @param {object} func - 用户函数对象
+     * @param {Array} args - 实参列表
+     * @param {any} thisValue - 调用方提供的this
+     * @param {boolean} isConstructorCall - 是否为构造函数调用
+     * @param {object} newInstance - 构造函数调用时创建的新实例
+     * @param {any} newTarget - 构造函数调用中new.target的值，缺省为被调函数本身
+     * @returns {CallFrame} 新栈帧（尚未压入调用栈）
      */
-    createClosureEnvironment(func, frame) {
-        if (!func._closureEnv) {
-            func._closureEnv = new Map();
+    createFunctionFrame(func, args, thisValue, isConstructorCall = false, newInstance = null, newTarget = func) {
+        const frame = new CallFrame(this.pc, new Map(), isConstructorCall, newInstance, func);
+        // 宿主回调时传入的Function构造函数、原生RegExp同样不原样交给脚本
+        if (args.some(arg => this.hideHostValue(arg) !== arg)) {
+            args = args.map(arg => this.hideHostValue(arg));
         }
+        frame.args = args;
+        // 函数作用域的外层是函数创建时的环境记录，由所有在同一环境中创建的闭包共享
+        frame.scope = new Scope(func._scope || this.globalScope, frame.locals);
         
-        // 捕获当前调用帧中的所有变量（包括函数和普通变量）
-        for (const [varName, varValue] of frame.locals) {
-            // 跳过this和一些内置变量，避免循环引用
-            if (varName !== 'this' && varName !== 'arguments') {
-                func._closureEnv.set(varName, varValue);
-            }
+        // 普通函数拥有自己的arguments对象，同名参数会覆盖它
+        if (!func.isArrow) {
+            frame.locals.set('arguments', this.createArgumentsObject(args));
         }
         
-        // 同时需要捕获外层调用栈中的变量（支持嵌套闭包）
-        for (let i = this.callStack.length - 2; i >= 0; i--) {
-            const outerFrame = this.callStack[i];
-            for (const [varName, varValue] of outerFrame.locals) {
-                if (!func._closureEnv.has(varName) && varName !== 'this' && varName !== 'arguments') {
-                    func._closureEnv.set(varName, varValue);
-                }
-            }
+        // 设置参数为局部变量
+        for (let i = 0; i < func.params.length; i++) {
+            const paramName = func.params[i];
+            const argValue = i < args.length ? args[i] : undefined;
+            frame.locals.set(paramName, argValue);
+        }
+        // 剩余参数绑定为真正的数组
+        if (func.restParam) {
+            frame.locals.set(func.restParam, args.slice(func.params.length));
         }
         
-        // 捕获全局变量（但排除内置函数）
-        for (const [varName, varValue] of this.globals) {
-            if (!func._closureEnv.has(varName) && !this.builtins.has(varName)) {
-                func._closureEnv.set(varName, varValue);
+        if (func.isArrow) {
+            // 箭头函数没有自己的this和arguments：this沿环境链读取外层函数的绑定
+            // （派生类构造函数在super()之后绑定的this同样可见），arguments使用创建时捕获的值
+            if (func._lexicalArguments !== undefined) {
+                frame.locals.set('arguments', func._lexicalArguments);
             }
+        } else {
+            frame.locals.set('this', thisValue);
+            // 箭头函数没有自己的new.target，沿环境链读取外层函数的值
+            frame.locals.set('new.target', isConstructorCall ? newTarget : undefined);
         }
+        
+        return frame;
     }
 
     /**
-     * 为全局作用域中的函数创建闭包环境
-     * @param {object} func - 函数对象
+     * 创建类数组的arguments对象：索引属性可枚举，length不可枚举，并且可迭代
+     * @param {Array} args - 实参列表
+     * @returns {object} arguments对象
      */
-    createClosureEnvironmentFromGlobal(func) {
-        if (!func._closureEnv) {
-            func._closureEnv = new Map();
-        }
-        
-        // 在全局作用域中，只捕获用户定义的全局变量
-        for (const [varName, varValue] of this.globals) {
-            if (!this.builtins.has(varName) && varName !== 'this') {
-                func._closureEnv.set(varName, varValue);
-            }
+    createArgumentsObject(args) {
+        const argumentsObject = {};
+        args.forEach((arg, i) => {
+            argumentsObject[i] = arg;
+        });
+        Object.defineProperty(argumentsObject, 'length', { value: args.length, writable: true, configurable: true });
+        Object.defineProperty(argumentsObject, Symbol.iterator, { value: Array.prototype.values, writable: true, configurable: true });
+        Object.defineProperty(argumentsObject, Symbol.toStringTag, { value: 'Arguments', configurable: true });
+        return argumentsObject;
+    }
+
+    /**
+     * 创建生成器对象共享的原型
+     * next/return/throw带有标记，虚拟机内由callFunction识别后恢复生成器栈帧，宿主调用时重新进入虚拟机
+     * @returns {object} 生成器原型
+     */
+    createGeneratorPrototype() {
+        const vm = this;
+        const prototype = {};
+        for (const mode of ['next', 'return', 'throw']) {
+            const method = function(...args) {
+                return vm.reenter(method, args, this);
+            };
+            Object.defineProperty(method, 'name', { value: mode });
+            method[GENERATOR_METHOD] = mode;
+            Object.defineProperty(prototype, mode, { value: method, writable: true, configurable: true });
         }
+        Object.defineProperty(prototype, Symbol.iterator, {
+            value: function() { return this; }, writable: true, configurable: true
+        });
+        Object.defineProperty(prototype, Symbol.toStringTag, { value: 'Generator', configurable: true });
+        return prototype;
     }
 
     /**
-     * 为被返回的函数创建独立的闭包环境（确保闭包隔离）
-     * @param {object} func - 被返回的函数对象
-     * @param {CallFrame} returningFrame - 返回该函数的调用帧
+     * 创建虚拟机函数共享的原型，原型的原型是Object.prototype
+     * call/apply/bind/toString带有标记，虚拟机内由callFunction识别后直接处理，宿主调用时重新进入虚拟机
+     * @returns {object} 函数原型
      */
-    createIndependentClosureEnvironment(func, returningFrame) {
-        // 创建全新的闭包环境，每个闭包实例完全独立
-        func._closureEnv = new Map();
-        func._closureId = this.generateUniqueClosureId();
-        
-        // 调试信息：记录闭包环境创建
-        if (this.debug) {
-            console.log(`🏗️ 创建闭包环境，函数ID: ${func._closureId}`);
-            console.log(`  返回帧局部变量:`, Array.from(returningFrame.locals.entries()));
-        }
-        
-        // 关键修复：只捕获真正的闭包变量（非函数的局部变量）
-        for (const [varName, varValue] of returningFrame.locals) {
-            // 跳过不需要的变量
-            if (varName === 'this' || 
-                varName === 'arguments' || 
-                this.isFunctionParameter(func, varName) ||
-                this.isBuiltinOrGlobalFunction(varName) ||
-                this.isFunctionObject(varValue)) {  // 新增：跳过函数对象
-                
-                if (this.debug) {
-                    console.log(`  ❌ 跳过变量 ${varName}: ${this.formatDebugValue(varValue)} (${this.getSkipReason(func, varName)})`);
-                }
-                continue;
-            }
-            
-            // 只捕获基本类型和简单对象，确保真正的局部变量独立性
-            const copiedValue = this.deepCopyValue(varValue);
-            func._closureEnv.set(varName, copiedValue);
-            
-            // 调试信息：记录捕获的变量
-            if (this.debug) {
-                console.log(`  ✅ 捕获变量 ${varName}: ${varValue} -> ${copiedValue}`);
-            }
+    createFunctionPrototype() {
+        const vm = this;
+        const prototype = {};
+        const lengths = { call: 1, apply: 2, bind: 1, toString: 0 };
+        for (const name of Object.keys(lengths)) {
+            const method = function(...args) {
+                return vm.reenter(method, args, this);
+            };
+            Object.defineProperty(method, 'name', { value: name });
+            Object.defineProperty(method, 'length', { value: lengths[name] });
+            method[FUNCTION_METHOD] = name;
+            Object.defineProperty(prototype, name, { value: method, writable: true, configurable: true });
+        }
+        // 没有自身prototype的函数（生成器）在第一次读取时创建；赋值则直接成为函数自身的属性
+        Object.defineProperty(prototype, 'prototype', {
+            get() {
+                return vm.isFunctionObject(this) ? vm.createPrototypeProperty(this) : undefined;
+            },
+            set(value) {
+                vm.definePrototypeProperty(this, value);
+            },
+            configurable: true
+        });
+        return prototype;
+    }
+
+    /**
+     * 为可以作为构造函数的虚拟机函数创建prototype对象，其constructor指回函数本身
+     * 箭头函数、async函数和普通方法没有prototype；生成器的prototype是它创建的生成器对象的原型
+     * @param {object} func - 虚拟机函数
+     * @returns {object|undefined} prototype对象
+     */
+    createPrototypeProperty(func) {
+        if (func.isArrow || func.isAsync || (func.isMethod && !func.isGenerator)) {
+            return undefined;
         }
-        
-        // 调试信息：显示最终的闭包环境
-        if (this.debug) {
-            console.log(`  最终闭包环境:`, Array.from(func._closureEnv.entries()));
+        const prototype = Object.create(func.isGenerator ? this.generatorPrototype : Object.prototype);
+        if (!func.isGenerator) {
+            Object.defineProperty(prototype, 'constructor', {
+                value: func, writable: true, enumerable: false, configurable: true
+            });
         }
+        this.definePrototypeProperty(func, prototype);
+        return prototype;
     }
 
     /**
-     * 检查变量名是否是函数的参数
+     * 在函数自身上定义prototype属性（可写、不可枚举、不可配置）
      * @param {object} func - 函数对象
-     * @param {string} varName - 变量名
-     * @returns {boolean} 是否是函数参数
+     * @param {any} value - prototype的值
      */
-    isFunctionParameter(func, varName) {
-        return func.params && func.params.includes(varName);
+    definePrototypeProperty(func, value) {
+        Object.defineProperty(func, 'prototype', {
+            value, writable: true, enumerable: false, configurable: false
+        });
     }
 
     /**
-     * 检查变量名是否是内置函数或全局函数
-     * @param {string} varName - 变量名
-     * @returns {boolean} 是否是内置函数或全局函数
+     * 执行虚拟机函数原型上的方法，结果压栈（call/apply调用的用户函数由RET压栈）
+     * @param {string} name - 方法名：call/apply/bind/toString
+     * @param {any} target - 目标函数（方法调用的this）
+     * @param {Array} args - 实参列表
+     * @returns {any} 宿主函数或bind/toString的结果
      */
-    isBuiltinOrGlobalFunction(varName) {
-        return this.builtins.has(varName) || 
-               (typeof this.globals.get(varName) === 'function');
+    callFunctionMethod(name, target, args) {
+        if (!this.isCallable(target)) {
+            throw new TypeError(`Function.prototype.${name} 的this不是函数: ${this.formatValue(target)}`);
+        }
+        let result;
+        switch (name) {
+            case 'call':
+                return this.callFunction(target, args.slice(1), args[0]);
+            case 'apply': {
+                const list = args[1];
+                if (list !== null && list !== undefined && typeof list !== 'object') {
+                    throw new TypeError('Function.prototype.apply 的参数列表必须是类数组对象');
+                }
+                return this.callFunction(target, list === null || list === undefined ? [] : Array.from(list), args[0]);
+            }
+            case 'bind':
+                result = this.createBoundFunction(target, args[0], args.slice(1));
+                break;
+            default:
+                result = this.functionToString(target);
+        }
+        this.stack.push(result);
+        return result;
     }
 
     /**
-     * 检查值是否是函数对象
-     * @param {any} value - 要检查的值
-     * @returns {boolean} 是否是函数对象
+     * 创建绑定函数：调用时以预置的this和实参调用目标函数，作为构造函数时忽略预置的this
+     * 绑定函数是宿主函数，宿主可以直接调用
+     * @param {any} target - 目标函数
+     * @param {any} boundThis - 预置的this
+     * @param {Array} boundArgs - 预置的实参
+     * @returns {Function} 绑定函数
      */
-    isFunctionObject(value) {
-        return typeof value === 'object' && 
-               value !== null && 
-               value.startAddress !== undefined &&
-               Array.isArray(value.params);
+    createBoundFunction(target, boundThis, boundArgs) {
+        const vm = this;
+        const bound = function(...args) {
+            return vm.reenter(bound, args, this);
+        };
+        const targetLength = typeof target.length === 'number' ? target.length : 0;
+        Object.defineProperty(bound, 'name', { value: `bound ${typeof target.name === 'string' ? target.name : ''}` });
+        Object.defineProperty(bound, 'length', { value: Math.max(0, targetLength - boundArgs.length) });
+        bound[BOUND_FUNCTION] = { target, boundThis, boundArgs };
+        return bound;
     }
 
     /**
-     * 获取变量被跳过的原因（用于调试）
-     * @param {object} func - 函数对象
-     * @param {string} varName - 变量名
-     * @returns {string} 跳过原因
+     * 函数的源码文本：虚拟机函数取编译时记录的源码范围，没有源码时返回占位文本
+     * @param {any} func - 函数
+     * @returns {string} 源码文本
      */
-    getSkipReason(func, varName) {
-        if (varName === 'this') return '是this';
-        if (varName === 'arguments') return '是arguments';
-        if (this.isFunctionParameter(func, varName)) return '是函数参数';
-        if (this.isBuiltinOrGlobalFunction(varName)) return '是内置/全局函数';
-        // 需要通过返回帧查找这个变量的值来检查是否是函数对象
-        return '其他原因';
+    functionToString(func) {
+        if (!this.isFunctionObject(func)) {
+            return Function.prototype.toString.call(func);
+        }
+        const source = func._bytecode && func._bytecode.sourceCode;
+        if (source && func.sourceRange) {
+            return source.slice(func.sourceRange[0], func.sourceRange[1]);
+        }
+        return `function ${func.name}() { [native code] }`;
     }
 
     /**
-     * 深拷贝值，确保闭包变量的独立性
-     * @param {any} value - 要拷贝的值
-     * @returns {any} 拷贝后的值
+     * 调用生成器函数：绑定参数后不执行函数体，返回处于初始挂起状态的生成器对象
+     * @param {object} func - 生成器函数
+     * @param {Array} args - 实参列表
+     * @param {any} thisValue - this的值
+     * @returns {object} 生成器对象
      */
-    deepCopyValue(value) {
-        // 对于基本类型，直接返回
-        if (value === null || value === undefined || 
-            typeof value === 'number' || typeof value === 'string' || 
-            typeof value === 'boolean') {
-            return value;
-        }
+    createGenerator(func, args, thisValue) {
+        const frame = this.createFunctionFrame(func, args, thisValue);
         
-        // 对于函数对象，不进行拷贝（避免循环引用）
-        if (typeof value === 'object' && value.startAddress !== undefined) {
-            return value;
-        }
+        const prototype = func.prototype;
+        const generator = Object.create(prototype !== null && typeof prototype === 'object' ? prototype : this.generatorPrototype);
+        Object.defineProperty(generator, GENERATOR_STATE, {
+            value: {
+                status: 'suspendedStart', // suspendedStart / suspendedYield / executing / completed
+                frame,
+                stack: [], // 挂起时保存的操作数栈
+                resumeAddress: func.startAddress,
+                resumeMode: 'next', // 最近一次恢复的方式，由YIELD_RESUME/YIELD_DELEGATE读取
+                delegating: false // 是否挂起在yield*中
+            }
+        });
+        frame.generator = generator;
         
-        // 对于普通对象和数组，进行浅拷贝即可
-        // （在当前的虚拟机实现中，深拷贝可能导致性能问题）
-        if (Array.isArray(value)) {
-            return [...value];
+        this.stack.push(generator);
+        return generator;
+    }
+
+    /**
+     * 恢复生成器：把栈帧压回调用栈，还原其操作数栈，并从挂起处继续执行
+     * next/return把传入的值作为yield表达式的结果；throw在挂起处抛出异常（yield*中交给内层迭代器处理）
+     * @param {object} generator - 生成器对象
+     * @param {string} mode - 恢复方式：next / return / throw
+     * @param {any} value - 传入的值
+     * @returns {any} 生成器已结束时直接得到的迭代结果
+     */
+    resumeGenerator(generator, mode, value) {
+        const state = generator !== null && typeof generator === 'object' ? generator[GENERATOR_STATE] : undefined;
+        if (!state) {
+            throw new TypeError(`${mode}方法必须在生成器对象上调用`);
+        }
+        if (state.status === 'executing') {
+            throw new TypeError('生成器正在执行中');
+        }
+        if (state.status === 'suspendedStart' && mode !== 'next') {
+            this.finishGenerator(generator);
+        }
+        if (state.status === 'completed') {
+            if (mode === 'throw') {
+                throw value;
+            }
+            const result = { value: mode === 'return' ? value : undefined, done: true };
+            this.stack.push(result);
+            return result;
         }
         
-        if (typeof value === 'object') {
-            return { ...value };
+        const frame = state.frame;
+        const isFirstRun = state.status === 'suspendedStart';
+        frame.returnAddress = this.pc;
+        frame.stackBase = this.stack.length;
+        // 挂起时异常处理器的栈高度保存为相对值，按新的起始高度还原
+        for (const handler of frame.handlers) {
+            handler.stackHeight += frame.stackBase;
         }
+        this.stack.push(...state.stack);
+        state.stack = [];
+        state.status = 'executing';
+        this.callStack.push(frame);
+        this.pc = state.resumeAddress - 1; // -1因为主循环会自增
         
-        return value;
+        if (isFirstRun) {
+            return undefined;
+        }
+        if (mode === 'throw' && !state.delegating) {
+            throw value;
+        }
+        state.resumeMode = mode;
+        this.stack.push(value);
+        return undefined;
     }
 
     /**
-     * 生成唯一的闭包ID
-     * @returns {string} 唯一的闭包ID
+     * 生成器结束，释放其栈帧
+     * @param {object} generator - 生成器对象
      */
-    generateUniqueClosureId() {
-        return `closure_${++this.closureIdCounter}`;
+    finishGenerator(generator) {
+        const state = generator[GENERATOR_STATE];
+        state.status = 'completed';
+        state.frame = null;
+        state.stack = [];
     }
 
-
-
     /**
-     * JMP指令：无条件跳转
+     * 读取并清除生成器最近一次恢复的方式
+     * @returns {string} next / return / throw
      */
-    executeJmp(operand) {
-        this.pc = operand - 1; // -1因为主循环会自增
-        return undefined;
+    takeResumeMode() {
+        const frame = this.getCurrentFrame();
+        if (!frame.generator) {
+            throw new Error('yield只能出现在生成器函数中');
+        }
+        const state = frame.generator[GENERATOR_STATE];
+        const mode = state.resumeMode;
+        state.resumeMode = 'next';
+        return mode;
     }
 
     /**
-     * JIF指令：条件跳转(true)
+     * 调用async函数：创建结果Promise并立即执行函数体，直到第一个await或返回
+     * @param {object} func - async函数
+     * @param {Array} args - 实参列表
+     * @param {any} thisValue - this的值
      */
-    executeJif(operand) {
-        const condition = this.stack.pop();
-        if (condition) {
-            this.pc = operand - 1;
-        }
+    startAsync(func, args, thisValue) {
+        const frame = this.createFunctionFrame(func, args, thisValue);
+        
+        let resolve, reject;
+        const promise = new Promise((resolvePromise, rejectPromise) => {
+            resolve = resolvePromise;
+            reject = rejectPromise;
+        });
+        // 脚本没有处理的拒绝不应成为宿主进程的unhandledRejection；得到该Promise的代码仍然可以处理它
+        promise.catch(() => {});
+        frame.asyncState = {
+            promise,
+            resolve,
+            reject,
+            stack: [], // 挂起时保存的操作数栈
+            resumeAddress: func.startAddress,
+            bytecode: this.bytecode // 恢复时使用函数所属的字节码
+        };
+        frame.stackBase = this.stack.length;
+        
+        this.callStack.push(frame);
+        this.pc = func.startAddress - 1; // -1因为主循环会自增
         return undefined;
     }
 
     /**
-     * JNF指令：条件跳转(false)
+     * 等待await的值兑现后把恢复任务加入微任务队列
+     * 宿主Promise（或其他thenable）在其兑现时加入并立即清空队列，其他值直接加入
+     * @param {object} frame - 挂起的async栈帧
+     * @param {any} value - await的值
      */
-    executeJnf(operand) {
-        const condition = this.stack.pop();
-        if (!condition) {
-            this.pc = operand - 1;
+    scheduleAwait(frame, value) {
+        const isThenable = (typeof value === 'object' || typeof value === 'function') &&
+                           value !== null && typeof value.then === 'function';
+        if (!isThenable) {
+            this.enqueueMicrotask(() => this.resumeAsync(frame, 'next', value));
+            return;
         }
-        return undefined;
+        const settle = (mode, settledValue) => {
+            this.enqueueMicrotask(() => this.resumeAsync(frame, mode, settledValue));
+            // 宿主回调开始新的一轮执行，重新计算指令数量限制
+            this.instructionCount = 0;
+            this.drainMicrotasks();
+        };
+        Promise.resolve(value).then(
+            result => settle('next', result),
+            error => settle('throw', error)
+        );
     }
 
     /**
-     * CALL指令：函数调用
+     * 恢复挂起的async函数并执行到下一个await或结束
+     * @param {object} frame - 挂起的async栈帧
+     * @param {string} mode - next（以兑现值作为await的结果）或 throw（在await处抛出拒绝原因）
+     * @param {any} value - 兑现值或拒绝原因
      */
-    executeCall(operand) {
-        const argCount = this.bytecode.constantPool.get(operand);
-        const func = this.stack.pop();
+    resumeAsync(frame, mode, value) {
+        const state = frame.asyncState;
+        const saved = { bytecode: this.bytecode, pc: this.pc, stackHeight: this.stack.length, running: this.running };
+        const depth = this.callStack.length;
         
-        // 获取参数
-        const args = [];
-        for (let i = 0; i < argCount; i++) {
-            args.push(this.stack.pop()); 
+        this.bytecode = state.bytecode;
+        frame.returnAddress = this.pc;
+        frame.stackBase = this.stack.length;
+        for (const handler of frame.handlers) {
+            handler.stackHeight += frame.stackBase;
         }
+        this.stack.push(...state.stack);
+        state.stack = [];
+        this.callStack.push(frame);
+        this.pc = state.resumeAddress;
+        // 恢复执行期间宿主回调虚拟机函数不会重新计算指令数量限制
+        this.running = true;
         
-        if (typeof func === 'function') {
-            // 内置JavaScript函数，使用全局this作为上下文
-            const globalThis = this.globals.get('this');
-            const result = func.apply(globalThis, args);
-            this.stack.push(result);
-            return result;
-        } else if (typeof func === 'object' && func.startAddress !== undefined) {
-            // 用户定义函数
-            const currentFrame = new CallFrame(this.pc, new Map(), false, null, func);
-            
-            // 设置参数为局部变量
-            for (let i = 0; i < func.params.length; i++) {
-                const paramName = func.params[i];
-                const argValue = i < args.length ? args[i] : undefined;
-                currentFrame.locals.set(paramName, argValue);
+        try {
+            if (mode === 'throw') {
+                // async栈帧本身是异常边界，handleException总能处理
+                this.handleException(value);
+            } else {
+                this.stack.push(value);
             }
-            
-            // 设置this为局部变量（普通函数调用时使用全局this）
-            // 在方法调用时，this会被正确设置
-            const globalThis = this.globals.get('this');
-            currentFrame.locals.set('this', globalThis);
-            
-            // 重要修复：不再将闭包变量复制到locals，保持闭包变量在独立的闭包环境中
-            // 闭包变量通过新的executeLoad/executeStore机制直接访问闭包环境
-            
-            // 简单的同级函数提升：扫描外层作用域中的函数
-            this.hoistSiblingFunctionsForIIFE(currentFrame);
-            
-            this.callStack.push(currentFrame);
-            this.pc = func.startAddress - 1; // -1因为主循环会自增
+            while (this.callStack.length > depth) {
+                this.step();
+            }
+        } catch (error) {
+            // 虚拟机内无法处理的异常（如超过指令数量限制）：拒绝该async函数的Promise
+            state.reject(error);
+        } finally {
+            this.callStack.length = depth;
+            this.bytecode = saved.bytecode;
+            this.pc = saved.pc;
+            this.stack.length = saved.stackHeight;
+            this.running = saved.running;
+        }
+    }
+
+    /**
+     * 在同一个虚拟机上重新进入解释循环，执行到该调用返回为止
+     * 异常不会展开到进入之前的栈帧，而是抛给调用方；嵌套层数和指令数量都受限制
+     * @param {any} func - 虚拟机函数或生成器方法
+     * @param {Array} args - 实参列表
+     * @param {any} thisValue - this的值
+     * @param {any} newTarget - 宿主以new调用时的new.target，此时按构造函数调用
+     * @returns {any} 调用结果
+     */
+    reenter(func, args, thisValue, newTarget) {
+        if (this.hostCallDepth >= this.maxHostCallDepth) {
+            throw new RangeError(`宿主回调嵌套层数超过限制 (${this.maxHostCallDepth})`);
+        }
+        const saved = {
+            bytecode: this.bytecode,
+            pc: this.pc,
+            stackHeight: this.stack.length,
+            boundary: this.hostBoundary,
+            running: this.running
+        };
+        const depth = this.callStack.length;
+        if (!this.running) {
+            // 脚本结束之后的回调（如定时器）开始新的一轮执行，重新计算指令数量限制
+            this.instructionCount = 0;
+        }
+        this.bytecode = this.getFunctionBytecode(func, thisValue);
+        this.hostBoundary = depth;
+        this.hostCallDepth++;
+        this.running = true;
+        try {
+            try {
+                if (newTarget === undefined) {
+                    this.callFunction(func, args, thisValue);
+                } else {
+                    this.construct(func, args, newTarget);
+                }
+                this.pc++;
+            } catch (error) {
+                // 以throw()恢复的生成器在刚进入的栈帧中查找处理器
+                if (!this.handleException(error)) {
+                    throw error;
+                }
+            }
+            while (this.callStack.length > depth) {
+                this.step();
+            }
+            return this.stack.pop();
+        } finally {
+            this.callStack.length = depth;
+            this.stack.length = saved.stackHeight;
+            this.bytecode = saved.bytecode;
+            this.pc = saved.pc;
+            this.hostBoundary = saved.boundary;
+            this.hostCallDepth--;
+            this.running = saved.running;
+            if (!saved.running) {
+                this.drainMicrotasks();
+            }
+        }
+    }
+
+    /**
+     * 获取被调用函数所属的字节码：宿主可能在另一段脚本执行时才回调
+     * @param {any} func - 虚拟机函数或生成器方法
+     * @param {any} thisValue - this的值（生成器方法的生成器对象）
+     * @returns {ByteCode} 字节码
+     */
+    getFunctionBytecode(func, thisValue) {
+        if (typeof func === 'function' && func[GENERATOR_METHOD]) {
+            const state = thisValue !== null && typeof thisValue === 'object' ? thisValue[GENERATOR_STATE] : undefined;
+            func = state && state.frame ? state.frame.currentFunction : null;
+        } else if (typeof func === 'function' && func[FUNCTION_METHOD]) {
+            return this.getFunctionBytecode(thisValue, undefined);
+        } else if (typeof func === 'function' && func[BOUND_FUNCTION]) {
+            return this.getFunctionBytecode(func[BOUND_FUNCTION].target, undefined);
+        }
+        return this.isFunctionObject(func) && func._bytecode ? func._bytecode : this.bytecode;
+    }
+
+    /**
+     * 交给脚本的值是宿主的Function等构造函数时替换为undefined，是原生RegExp或其exec时替换为受时间限制的版本
+     * @param {any} value - 来自宿主的值
+     * @returns {any} 原值或替换后的值
+     */
+    hideHostValue(value) {
+        if (HOST_CODE_CONSTRUCTORS.has(value)) {
             return undefined;
-        } else {
-            throw new Error(`无法调用非函数对象: ${typeof func}`);
         }
+        return this.hostValueReplacements.has(value) ? this.hostValueReplacements.get(value) : value;
     }
 
     /**
-     * 为IIFE模式提升同级函数（修复版本：不污染闭包变量）
-     * @param {CallFrame} frame - 当前调用帧
+     * 宿主函数的结果交给脚本之前，把其中数组和普通对象（属性描述符、Object.values的结果等）的数据属性
+     * 也一并替换，脚本因此无法把Function构造函数或原生RegExp装在容器里原样交给另一个宿主函数（如Reflect.construct）
+     * @param {any} value - 宿主函数的结果
+     * @returns {any} 替换后的结果
      */
-    hoistSiblingFunctionsForIIFE(frame) {
-        // 1. 从全局this对象中导入JavaScript函数
-        const globalThis = this.globals.get('this');
-        if (globalThis && typeof globalThis === 'object') {
-            for (const [key, value] of Object.entries(globalThis)) {
-                if (typeof value === 'function' && !frame.locals.has(key)) {
-                    frame.locals.set(key, value);
+    hideHostResult(value) {
+        this.hideNestedHostValues(value, new Set());
+        return this.hideHostValue(value);
+    }
+
+    /**
+     * 递归替换数组和普通对象自身数据属性中不能交给脚本的宿主值（不触发访问器，不进入Proxy）
+     * @param {any} value - 宿主值
+     * @param {Set} visited - 已检查的对象
+     */
+    hideNestedHostValues(value, visited) {
+        if (value === null || typeof value !== 'object' || visited.has(value) || types.isProxy(value)) {
+            return;
+        }
+        const prototype = Object.getPrototypeOf(value);
+        if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+            return;
+        }
+        // 宿主的原型对象（如RegExp.prototype）不修改，脚本读取它的属性时再替换
+        const constructor = Object.getOwnPropertyDescriptor(value, 'constructor');
+        if (constructor && typeof constructor.value === 'function' && constructor.value.prototype === value) {
+            return;
+        }
+        visited.add(value);
+        for (const key of Reflect.ownKeys(value)) {
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+            if (!descriptor || !('value' in descriptor)) {
+                continue;
+            }
+            const replacement = this.hideHostValue(descriptor.value);
+            if (replacement !== descriptor.value) {
+                if (!Reflect.defineProperty(value, key, { value: replacement })) {
+                    throw new TypeError('宿主函数的结果中包含不能替换的宿主函数');
                 }
+            } else {
+                this.hideNestedHostValues(descriptor.value, visited);
             }
         }
-        
-        // 2. 重要修复：不再将闭包环境的变量复制到locals中
-        // 闭包变量现在通过executeLoad/executeStore直接访问闭包环境
-        // 这样可以确保每个闭包实例的变量完全独立
     }
 
+    /**
+     * 虚拟机不调用宿主的Function等构造函数，它们会在宿主中编译并执行代码
+     * @param {Function} func - 宿主函数
+     */
+    assertNotHostCodeConstructor(func) {
+        if (HOST_CODE_CONSTRUCTORS.has(func)) {
+            throw new TypeError('不允许调用宿主的Function构造函数');
+        }
+    }
 
+    /**
+     * 类构造函数只能通过new调用
+     * @param {object} func - 用户函数对象
+     */
+    assertNotClassConstructor(func) {
+        if (func.isClassConstructor) {
+            throw new TypeError(`类构造函数不能在没有new的情况下调用: ${func.name || 'anonymous'}`);
+        }
+    }
+
+    /**
+     * 获取栈帧中this的值，顶层代码的this是全局this对象
+     * @param {CallFrame} frame - 栈帧
+     * @returns {any} this的值
+     */
+    getFrameThis(frame) {
+        if (frame === this.rootFrame) {
+            return this.globals.get('this');
+        }
+        if (frame.currentFunction && frame.currentFunction.isArrow) {
+            const scope = frame.scope.lookup('this');
+            return scope ? scope.vars.get('this') : undefined;
+        }
+        return frame.locals.get('this');
+    }
 
     /**
      * CALL_METHOD指令：方法调用（带this）
@@ -1473,44 +2465,84 @@ class VirtualMachine {
         const argCount = this.bytecode.constantPool.get(operand);
         const method = this.stack.pop();
         const thisObject = this.stack.pop();
-        
-        // 获取参数
-        const args = [];
-        for (let i = 0; i < argCount; i++) {
-            args.push(this.stack.pop()); 
+        const args = this.popArguments(argCount);
+        return this.callFunction(method, args, thisObject);
+    }
+
+    /**
+     * CALL_METHOD_SPREAD指令：以实参数组调用方法（含展开实参）
+     * 栈：[实参数组, this, 方法]
+     */
+    executeCallMethodSpread() {
+        const method = this.stack.pop();
+        const thisObject = this.stack.pop();
+        const args = this.stack.pop();
+        return this.callFunction(method, args, thisObject);
+    }
+
+    /**
+     * CLOSURE指令：由函数模板创建新的函数对象
+     * 每次求值得到独立的函数对象，并按引用持有当前的环境记录
+     * @param {number} operand - 函数模板常量索引
+     */
+    executeClosure(operand) {
+        const template = this.bytecode.constantPool.get(operand);
+        const frame = this.getCurrentFrame();
+        const func = this.createFunctionObject(template);
+        func._scope = frame.scope;
+        func._bytecode = this.bytecode; // 宿主可能在另一段脚本执行时才回调
+        // 具名函数表达式的名字绑定在外层环境与函数作用域之间，参数和局部变量可以遮蔽它
+        if (func.bindsOwnName) {
+            func._scope = new Scope(frame.scope, new Map([[func.name, func]]));
+            func._scope.consts.add(func.name);
+        }
+        
+        // 箭头函数在创建时捕获外层栈帧的arguments、super所需的home object和this所属的栈帧
+        if (func.isArrow) {
+            func._thisFrame = frame.currentFunction && frame.currentFunction.isArrow
+                ? frame.currentFunction._thisFrame
+                : frame;
+            func._lexicalArguments = frame.locals.get('arguments');
+            if (frame.currentFunction && frame.currentFunction._homeObject) {
+                func._homeObject = frame.currentFunction._homeObject;
+            }
         }
         
-        if (typeof method === 'function') {
-            // 内置JavaScript函数，使用thisObject作为this
-            const result = method.apply(thisObject, args);
-            this.stack.push(result);
-            return result;
-        } else if (typeof method === 'object' && method.startAddress !== undefined) {
-            // 用户定义函数
-            const currentFrame = new CallFrame(this.pc, new Map(), false, null, method);
-            
-            // 设置参数为局部变量
-            for (let i = 0; i < method.params.length; i++) {
-                const paramName = method.params[i];
-                const argValue = i < args.length ? args[i] : undefined;
-                currentFrame.locals.set(paramName, argValue);
-            }
-            
-            // 设置this为局部变量
-            currentFrame.locals.set('this', thisObject);
-            
-            // 重要修复：不再将闭包变量复制到locals，保持闭包变量在独立的闭包环境中
-            // 闭包变量通过新的executeLoad/executeStore机制直接访问闭包环境
-            
-            // 简单的同级函数提升：扫描外层作用域中的函数
-            this.hoistSiblingFunctionsForIIFE(currentFrame);
-            
-            this.callStack.push(currentFrame);
-            this.pc = method.startAddress - 1; // -1因为主循环会自增
-            return undefined;
+        this.stack.push(func);
+        return func;
+    }
+
+    /**
+     * 由函数模板创建虚拟机函数对象
+     * 函数对象本身就是宿主可以调用的函数（调用时重新进入虚拟机），宿主与脚本看到的是同一个对象；
+     * 原型是虚拟机的函数原型，模板的字段是它自身的属性
+     * @param {object} template - 函数模板
+     * @returns {Function} 函数对象
+     */
+    createFunctionObject(template) {
+        const vm = this;
+        let func;
+        if (template.isArrow || template.isAsync || template.isGenerator || template.isMethod) {
+            // 不能作为构造函数：方法简写创建的函数没有[[Construct]]，也没有自身的prototype属性，
+            // 生成器的prototype由函数原型上的访问器按需创建
+            func = {
+                vmFunction(...args) {
+                    return vm.reenter(func, args, this);
+                }
+            }.vmFunction;
         } else {
-            throw new Error(`无法调用非函数对象: ${typeof method}`);
+            // 普通函数和类构造函数：宿主以new调用时按构造函数执行，prototype在创建时就存在
+            func = function vmFunction(...args) {
+                return new.target
+                    ? vm.reenter(func, args, undefined, new.target)
+                    : vm.reenter(func, args, this);
+            };
         }
+        Object.setPrototypeOf(func, this.functionPrototype);
+        const { name, length, ...fields } = template;
+        Object.defineProperty(func, 'name', { value: name, configurable: true });
+        Object.defineProperty(func, 'length', { value: length, configurable: true });
+        return Object.assign(func, fields);
     }
 
     /**
@@ -1526,41 +2558,165 @@ class VirtualMachine {
         const frame = this.callStack.pop();
         this.pc = frame.returnAddress;
         
-        // 如果返回值是函数对象，需要创建函数对象的副本并为其创建正确的闭包环境
-        if (typeof returnValue === 'object' && returnValue.startAddress !== undefined) {
-            // 创建函数对象的副本，确保每个闭包实例都是独立的
-            const functionCopy = {
-                name: returnValue.name,
-                params: [...returnValue.params],
-                startAddress: returnValue.startAddress,
-                closureScope: returnValue.closureScope
-            };
-            
-            this.createIndependentClosureEnvironment(functionCopy, frame);
-            
-            // 返回函数副本而不是原始函数对象
-            this.stack.push(functionCopy);
-            return functionCopy;
+        // async函数体执行完毕：以返回值兑现其Promise
+        if (frame.asyncState) {
+            this.stack.length = frame.stackBase;
+            frame.asyncState.resolve(returnValue);
+            this.stack.push(frame.asyncState.promise);
+            return frame.asyncState.promise;
+        }
+        
+        // 生成器函数体执行完毕：丢弃其操作数栈，产出 { value, done: true }
+        if (frame.generator) {
+            this.stack.length = frame.stackBase;
+            this.finishGenerator(frame.generator);
+            const result = { value: returnValue, done: true };
+            this.stack.push(result);
+            return result;
+        }
+        
+        // setter调用的结果是被赋的值
+        if (frame.resultOverride) {
+            this.stack.push(frame.resultOverride.value);
+            return frame.resultOverride.value;
         }
         
-        // 处理构造函数调用的特殊返回逻辑
-        if (frame.isConstructorCall) {
-            // 构造函数调用：如果返回值是对象（且不为null），使用返回值；否则使用新实例
-            let finalResult;
-            if (returnValue !== null && typeof returnValue === 'object') {
-                finalResult = returnValue;
-            } else {
-                finalResult = frame.newInstance;
-            }
-            this.stack.push(finalResult);
-            return finalResult;
-        } else {
-            // 普通函数调用：直接使用返回值（函数对象已经在上面处理了）
-            if (!(typeof returnValue === 'object' && returnValue.startAddress !== undefined)) {
-                this.stack.push(returnValue);
+        // 处理构造函数调用的特殊返回逻辑
+        if (frame.isConstructorCall) {
+            // 构造函数调用：如果返回值是对象（且不为null）或函数，使用返回值；否则使用新实例
+            let finalResult;
+            const name = frame.currentFunction.name || 'anonymous';
+            if ((returnValue !== null && typeof returnValue === 'object') || typeof returnValue === 'function') {
+                finalResult = returnValue;
+            } else if (frame.currentFunction.isDerivedClass && returnValue !== undefined) {
+                throw new TypeError(`派生类的构造函数只能返回对象或undefined: ${name}`);
+            } else if (frame.newInstance === UNINITIALIZED) {
+                throw new ReferenceError(`派生类的构造函数必须调用super(): ${name}`);
+            } else {
+                finalResult = frame.newInstance;
+            }
+            // 父类构造函数的结果成为派生类构造函数的this
+            if (frame.superCaller) {
+                this.bindSuperThis(frame.superCaller, finalResult);
+            }
+            this.stack.push(finalResult);
+            return finalResult;
+        } else {
+            // 普通函数调用：直接使用返回值（函数对象已经在上面处理了）
+            this.stack.push(returnValue);
+            return returnValue;
+        }
+    }
+
+    /**
+     * YIELD指令：挂起当前生成器，保存操作数栈和恢复地址，回到调用next的位置
+     * @param {number} operand - 0产出 { value, done: false }；1为yield*，原样产出内层迭代结果
+     */
+    executeYield(operand) {
+        const value = this.stack.pop();
+        const frame = this.getCurrentFrame();
+        if (!frame.generator) {
+            throw new Error('yield只能出现在生成器函数中');
+        }
+        const state = frame.generator[GENERATOR_STATE];
+        state.stack = this.stack.splice(frame.stackBase);
+        for (const handler of frame.handlers) {
+            handler.stackHeight -= frame.stackBase;
+        }
+        state.resumeAddress = this.pc + 1;
+        state.delegating = operand === 1;
+        state.status = 'suspendedYield';
+        
+        this.callStack.pop();
+        this.pc = frame.returnAddress;
+        const result = operand === 1 ? value : { value, done: false };
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * AWAIT指令：挂起当前async函数，保存操作数栈和恢复地址；
+     * 调用方得到函数的结果Promise，值兑现后由微任务恢复执行
+     */
+    executeAwait() {
+        const value = this.stack.pop();
+        const frame = this.getCurrentFrame();
+        if (!frame.asyncState) {
+            throw new Error('await只能出现在async函数中');
+        }
+        const state = frame.asyncState;
+        state.stack = this.stack.splice(frame.stackBase);
+        for (const handler of frame.handlers) {
+            handler.stackHeight -= frame.stackBase;
+        }
+        state.resumeAddress = this.pc + 1;
+        
+        this.callStack.pop();
+        this.pc = frame.returnAddress;
+        this.stack.push(state.promise);
+        this.scheduleAwait(frame, value);
+        return state.promise;
+    }
+
+    /**
+     * YIELD_RESUME指令：yield恢复后栈顶为传入的值；
+     * 通过return()恢复时落入其后的返回路径，否则跳转继续执行
+     * @param {number} operand - 继续执行的地址
+     */
+    executeYieldResume(operand) {
+        if (this.takeResumeMode() !== 'return') {
+            this.pc = operand - 1;
+        }
+    }
+
+    /**
+     * YIELD_DELEGATE指令：yield*按恢复方式准备调用内层迭代器的next/throw/return，随后由CALL_METHOD 1调用
+     * 栈：[记录, 传入值] -> [记录, 传入值, 迭代器, 方法]
+     * 以return()恢复而内层迭代器没有return方法时，栈为 [传入值] 并跳转到返回路径
+     * @param {number} operand - 返回路径地址
+     */
+    executeYieldDelegate(operand) {
+        const received = this.stack.pop();
+        const record = this.stack[this.stack.length - 1];
+        const mode = this.takeResumeMode();
+        record.mode = mode;
+        record.returnAddress = operand;
+        
+        const method = mode === 'next' ? record.next : record.iterator[mode];
+        if (method === undefined || method === null) {
+            record.done = true;
+            if (mode === 'return') {
+                this.stack.pop();
+                this.stack.push(received);
+                this.pc = operand - 1;
+                return;
             }
-            return returnValue;
+            throw new TypeError('yield*委托的迭代器没有throw方法');
+        }
+        this.stack.push(received, record.iterator, method);
+    }
+
+    /**
+     * DELEGATE_RESULT指令：读取内层迭代结果
+     * 未完成时保留结果供YIELD 1原样产出；完成时栈为 [结果值]，
+     * 正常完成跳转到yield*之后，由return()引起的完成跳转到返回路径
+     * @param {number} operand - yield*之后的地址
+     */
+    executeDelegateResult(operand) {
+        const result = this.stack.pop();
+        const record = this.stack[this.stack.length - 1];
+        if (typeof result !== 'object' && typeof result !== 'function' || result === null) {
+            throw new TypeError(`迭代结果必须是对象: ${this.formatValue(result)}`);
         }
+        if (result.done) {
+            record.done = true;
+            this.stack.pop();
+            this.stack.push(result.value);
+            this.pc = (record.mode === 'return' ? record.returnAddress : operand) - 1;
+            return result.value;
+        }
+        this.stack.push(result);
+        return result;
     }
 
     /**
@@ -1571,7 +2727,14 @@ class VirtualMachine {
         const object = this.stack.pop();
         
         if (object === null || object === undefined) {
-            throw new Error(`无法读取 ${object} 的属性 '${propertyName}'`);
+            throw new TypeError(`无法读取 ${object} 的属性 '${propertyName}'`);
+        }
+        
+        // 虚拟机函数实现的getter：以调用的方式执行，返回值即属性值
+        const getter = this.findVMAccessor(object, propertyName, 'get');
+        if (getter) {
+            this.invokeVMAccessor(getter, object, []);
+            return undefined;
         }
         
         // 支持原型链查找
@@ -1588,16 +2751,22 @@ class VirtualMachine {
      * @returns {any} 属性值
      */
     getPropertyWithPrototype(object, propertyName) {
-        // 首先检查对象自身的属性
-        if (object.hasOwnProperty && object.hasOwnProperty(propertyName)) {
-            return object[propertyName];
+        // 首先检查对象自身的属性（不读取对象上的hasOwnProperty，它可能被覆盖或经由Proxy的get陷阱）
+        if (Object.prototype.hasOwnProperty.call(object, propertyName)) {
+            return this.hideHostValue(object[propertyName]);
+        }
+        
+        // 字符串的match/matchAll/search会把字符串模式转换为正则表达式，改用受时间限制的RegExp
+        if (typeof object === 'string' && (propertyName === 'match' || propertyName === 'matchAll' || propertyName === 'search')) {
+            return this.createStringPatternMethod(object, propertyName);
         }
 
-        // 如果对象自身没有该属性，检查原型链
-        let value = object[propertyName];
+        // 如果对象自身没有该属性，检查原型链（宿主函数的constructor等得到Function构造函数时视为不存在）
+        let value = this.hideHostValue(object[propertyName]);
         
         // 如果找到了属性，且是函数，需要绑定正确的this上下文
-        if (typeof value === 'function') {
+        // 虚拟机函数、生成器方法与虚拟机函数的原型方法保持原样，由callFunction按调用时的this处理
+        if (typeof value === 'function' && !this.isFunctionObject(value) && !value[GENERATOR_METHOD] && !value[FUNCTION_METHOD]) {
             // 为原型方法绑定正确的this上下文
             return value.bind(object);
         }
@@ -1610,6 +2779,22 @@ class VirtualMachine {
         return value;
     }
 
+    /**
+     * 字符串的match/matchAll/search：不是正则表达式的模式先用虚拟机的RegExp创建
+     * @param {string} string - 字符串
+     * @param {string} methodName - 方法名
+     * @returns {Function} 绑定到该字符串的方法
+     */
+    createStringPatternMethod(string, methodName) {
+        const RegExpConstructor = this.RegExpConstructor;
+        return (pattern, ...rest) => {
+            if (pattern !== undefined && pattern !== null && !(pattern instanceof RegExp)) {
+                pattern = new RegExpConstructor(pattern, methodName === 'matchAll' ? 'g' : undefined);
+            }
+            return String.prototype[methodName].call(string, pattern, ...rest);
+        };
+    }
+
     /**
      * 查找基本类型的原型属性
      * @param {any} object - 目标对象
@@ -1690,11 +2875,10 @@ class VirtualMachine {
         const propCount = this.stack.pop();
         const object = {};
         
-        // 从栈中弹出键值对并设置到对象（注意顺序）
-        for (let i = 0; i < propCount; i++) {
-            const key = this.stack.pop();    // 属性键
-            const value = this.stack.pop();  // 属性值
-            object[key] = value;
+        // 栈：[键1, 值1, ..., 键n, 值n]，按源码顺序设置，重复的键以后者为准
+        const entries = this.stack.splice(this.stack.length - propCount * 2, propCount * 2);
+        for (let i = 0; i < entries.length; i += 2) {
+            object[entries[i]] = entries[i + 1];
         }
         
         this.stack.push(object);
@@ -1742,6 +2926,194 @@ class VirtualMachine {
         return value;
     }
 
+    /**
+     * ARRAY_PUSH指令：向正在构建的数组追加一个元素
+     * 栈：[数组, 值] -> [数组]
+     */
+    executeArrayPush() {
+        const value = this.stack.pop();
+        const array = this.stack[this.stack.length - 1];
+        array.push(value);
+        return array;
+    }
+
+    /**
+     * DEFINE_PROP指令：在正在构建的对象上定义可枚举数据属性
+     * 栈：[对象, 键, 值] -> [对象]
+     * @param {number|null} operand - 为1时表示对象字面量中的 __proto__: value，值为对象或null时设置原型
+     */
+    executeDefineProp(operand) {
+        const value = this.stack.pop();
+        const key = this.stack.pop();
+        const object = this.stack[this.stack.length - 1];
+        if (operand === 1) {
+            if (value === null || typeof value === 'object' || typeof value === 'function') {
+                Object.setPrototypeOf(object, value);
+            }
+            return object;
+        }
+        Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+        return object;
+    }
+
+    /**
+     * OBJECT_SPREAD指令：把源对象的自身可枚举属性复制到正在构建的对象，null/undefined被忽略
+     * 栈：[对象, 源] -> [对象]
+     */
+    executeObjectSpread() {
+        const source = this.stack.pop();
+        const object = this.stack[this.stack.length - 1];
+        if (source !== null && source !== undefined) {
+            const from = Object(source);
+            for (const key of Reflect.ownKeys(from)) {
+                if (Object.prototype.propertyIsEnumerable.call(from, key)) {
+                    Object.defineProperty(object, key, {
+                        value: from[key], writable: true, enumerable: true, configurable: true
+                    });
+                }
+            }
+        }
+        return object;
+    }
+
+    /**
+     * TEMPLATE_OBJECT指令：压入标签模板的字符串数组，raw属性为原始字符串数组，两者都被冻结
+     * 以指令对象为键缓存，同一调用位置每次求值得到同一个数组
+     * @param {number} operand - 常量池中的 { cooked, raw } 索引
+     */
+    executeTemplateObject(operand) {
+        const instruction = this.bytecode.instructions[this.pc];
+        let strings = this.templateObjects.get(instruction);
+        if (!strings) {
+            const { cooked, raw } = this.bytecode.constantPool.get(operand);
+            strings = cooked.map(value => (value === null ? undefined : value));
+            Object.defineProperty(strings, 'raw', { value: Object.freeze(raw.slice()) });
+            Object.freeze(strings);
+            this.templateObjects.set(instruction, strings);
+        }
+        this.stack.push(strings);
+        return strings;
+    }
+
+    /**
+     * GET_ITER指令：读取可迭代对象的[Symbol.iterator]方法，随后由CALL_METHOD 0得到迭代器
+     * 栈：[对象] -> [对象, 方法]
+     */
+    executeGetIter() {
+        const iterable = this.stack[this.stack.length - 1];
+        const method = iterable === null || iterable === undefined ? undefined : iterable[Symbol.iterator];
+        if (!this.isCallable(method)) {
+            throw new TypeError(`${this.formatValue(iterable)} 不可迭代`);
+        }
+        this.stack.push(method);
+        return method;
+    }
+
+    /**
+     * ITER_INIT指令：把迭代器包装为迭代记录，next方法只读取一次
+     * 栈：[迭代器] -> [记录]
+     */
+    executeIterInit() {
+        const iterator = this.stack.pop();
+        if (typeof iterator !== 'object' && typeof iterator !== 'function' || iterator === null) {
+            throw new TypeError(`迭代器必须是对象: ${this.formatValue(iterator)}`);
+        }
+        const record = { iterator, next: iterator.next, done: false };
+        this.stack.push(record);
+        return record;
+    }
+
+    /**
+     * ITER_NEXT指令：压入迭代器和next方法，随后由CALL_METHOD 0得到迭代结果
+     * 记录已经完成时不再调用next，直接跳转
+     * @param {number} operand - 完成时的跳转地址
+     */
+    executeIterNext(operand) {
+        const record = this.stack[this.stack.length - 1];
+        if (record.done) {
+            this.pc = operand - 1;
+            return;
+        }
+        this.stack.push(record.iterator, record.next);
+    }
+
+    /**
+     * ITER_VALUE指令：读取迭代结果，done为true时标记记录完成并跳转
+     * 栈：[记录, 结果] -> [记录, 值]（完成时为 [记录]）
+     * @param {number} operand - 完成时的跳转地址
+     */
+    executeIterValue(operand) {
+        const result = this.stack.pop();
+        const record = this.stack[this.stack.length - 1];
+        if (typeof result !== 'object' && typeof result !== 'function' || result === null) {
+            record.done = true;
+            throw new TypeError(`迭代结果必须是对象: ${this.formatValue(result)}`);
+        }
+        if (result.done) {
+            record.done = true;
+            this.pc = operand - 1;
+            return;
+        }
+        const value = this.hideHostValue(result.value);
+        this.stack.push(value);
+        return value;
+    }
+
+    /**
+     * ITER_CLOSE指令：提前结束迭代时准备调用迭代器的return方法，随后由CALL_METHOD 0调用
+     * 记录已完成或迭代器没有return方法时直接跳转
+     * 栈：[记录] -> [迭代器, return]（跳转时为 []）
+     * @param {number} operand - 无需关闭时的跳转地址
+     */
+    executeIterClose(operand) {
+        const record = this.stack.pop();
+        const method = record.done ? undefined : record.iterator.return;
+        record.done = true;
+        if (method === undefined || method === null) {
+            this.pc = operand - 1;
+            return;
+        }
+        if (!this.isCallable(method)) {
+            throw new TypeError('迭代器的return不是函数');
+        }
+        this.stack.push(record.iterator, method);
+    }
+
+    /**
+     * 判断值是否可以被调用（宿主函数或虚拟机函数）
+     * @param {any} value - 要检查的值
+     * @returns {boolean} 是否可调用
+     */
+    isCallable(value) {
+        return typeof value === 'function';
+    }
+
+    /**
+     * OBJECT_REST指令：复制对象解构中未被读取的自身可枚举属性
+     * 栈：[源对象, 已读键1, ..., 已读键n] -> [剩余属性对象]
+     * @param {number} operand - 已读取键的个数
+     */
+    executeObjectRest(operand) {
+        const excluded = new Set();
+        for (let i = 0; i < operand; i++) {
+            const key = this.stack.pop();
+            excluded.add(typeof key === 'symbol' ? key : String(key));
+        }
+        const source = this.stack.pop();
+        if (source === null || source === undefined) {
+            throw new TypeError(`无法解构 ${source}`);
+        }
+        
+        const rest = {};
+        for (const key of Reflect.ownKeys(Object(source))) {
+            if (!excluded.has(key) && Object.prototype.propertyIsEnumerable.call(source, key)) {
+                rest[key] = source[key];
+            }
+        }
+        this.stack.push(rest);
+        return rest;
+    }
+
     /**
      * SET_PROP指令：设置对象属性
      * 栈顶到栈底的顺序：[value, object, property]
@@ -1752,7 +3124,13 @@ class VirtualMachine {
         const value = this.stack.pop();     // 栈底：value
         
         if (object === null || object === undefined) {
-            throw new Error(`无法设置 ${object} 的属性 '${property}'`);
+            throw new TypeError(`无法设置 ${object} 的属性 '${property}'`);
+        }
+        
+        const setter = this.findVMAccessor(object, property, 'set');
+        if (setter) {
+            this.invokeVMAccessor(setter, object, [value], { value });
+            return value;
         }
         
         object[property] = value;
@@ -1760,6 +3138,88 @@ class VirtualMachine {
         return value;
     }
 
+    /**
+     * DELETE_PROP指令：delete运算符，结果为是否删除成功
+     * 栈：[对象, 键] -> [结果]；操作数为变量名常量索引时栈：[] -> [结果]
+     * 不可配置的属性删除失败，数组元素删除后留下空位
+     * @param {number|null} operand - 未限定标识符的变量名常量索引
+     */
+    executeDeleteProp(operand) {
+        let result;
+        if (operand !== null && operand !== undefined) {
+            result = this.deleteBinding(this.bytecode.constantPool.get(operand));
+        } else {
+            const property = this.stack.pop();
+            const object = this.stack.pop();
+            if (object === null || object === undefined) {
+                throw new TypeError(`无法删除 ${object} 的属性 '${String(property)}'`);
+            }
+            result = Reflect.deleteProperty(Object(object), property);
+        }
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * NEW_REGEXP指令：由正则表达式字面量创建新的RegExp对象
+     * @param {number} operand - { pattern, flags } 常量索引
+     */
+    executeNewRegExp(operand) {
+        const { pattern, flags } = this.bytecode.constantPool.get(operand);
+        const RegExpConstructor = this.RegExpConstructor;
+        const regexp = new RegExpConstructor(pattern, flags);
+        this.stack.push(regexp);
+        return regexp;
+    }
+
+    /**
+     * FOR_IN_KEYS指令：收集for-in要枚举的键
+     * 栈：[值] -> [对象, 键数组]；基本类型转换为包装对象，null/undefined不枚举任何键
+     * 自身的键在前，随后沿原型链收集继承的键；被更近的属性（包括不可枚举的）遮蔽的键和Symbol键不枚举
+     */
+    executeForInKeys() {
+        const value = this.stack.pop();
+        const object = value === null || value === undefined ? {} : Object(value);
+        const keys = [];
+        const visited = new Set();
+        for (let current = object; current !== null; current = Object.getPrototypeOf(current)) {
+            for (const key of Object.getOwnPropertyNames(current)) {
+                if (visited.has(key)) {
+                    continue;
+                }
+                visited.add(key);
+                const descriptor = Object.getOwnPropertyDescriptor(current, key);
+                if (descriptor && descriptor.enumerable) {
+                    keys.push(key);
+                }
+            }
+        }
+        this.stack.push(object, keys);
+        return keys;
+    }
+
+    /**
+     * 删除未限定的标识符：声明的变量、参数和宿主注入的全局变量不能删除，
+     * 给未声明的变量赋值而创建的全局变量可以删除，不存在的变量删除结果为true
+     * @param {string} varName - 变量名
+     * @returns {boolean} 是否删除成功
+     */
+    deleteBinding(varName) {
+        const scope = this.getCurrentFrame().scope.lookup(varName);
+        if (scope && !(scope === this.globalScope && this.implicitGlobals.has(varName))) {
+            return false;
+        }
+        if (scope) {
+            this.globals.delete(varName);
+            this.implicitGlobals.delete(varName);
+        }
+        const globalThis = this.globals.get('this');
+        if (globalThis && typeof globalThis === 'object') {
+            return Reflect.deleteProperty(globalThis, varName);
+        }
+        return true;
+    }
+
     /**
      * 调试指令执行
      */
@@ -1813,10 +3273,10 @@ class VirtualMachine {
             const str = value.length > 30 ? value.substring(0, 30) + '...' : value;
             return `"${str}"`;
         }
-        if (typeof value === 'function') return '[Function]';
-        if (typeof value === 'object' && value.startAddress !== undefined) {
+        if (this.isFunctionObject(value)) {
             return `[UserFunction:${value.name || 'anonymous'}@${value.startAddress}]`;
         }
+        if (typeof value === 'function') return '[Function]';
         if (typeof value === 'object') {
             if (Array.isArray(value)) {
                 const elements = value.slice(0, 3).map(v => this.formatDebugValue(v));
@@ -1878,6 +3338,14 @@ class VirtualMachine {
         this.maxInstructions = maxInstructions;
     }
 
+    /**
+     * 设置单次正则表达式匹配的最长时间
+     * @param {number} milliseconds - 毫秒数，0表示不限制
+     */
+    setMaxRegExpTime(milliseconds) {
+        this.maxRegExpTime = milliseconds;
+    }
+
     /**
      * 打印当前虚拟机状态
      */
@@ -1936,131 +3404,335 @@ class VirtualMachine {
      */
     executeNew(operand) {
         const argCount = this.bytecode.constantPool.get(operand);
-        
-        // 弹出构造函数
         const constructor = this.stack.pop();
-        
-        // 弹出参数
-        const args = [];
-        for (let i = 0; i < argCount; i++) {
-            args.push(this.stack.pop());
+        const args = this.popArguments(argCount);
+        return this.construct(constructor, args);
+    }
+
+    /**
+     * NEW_SPREAD指令：以实参数组调用构造函数（含展开实参）
+     * 栈：[实参数组, 构造函数]
+     */
+    executeNewSpread() {
+        const constructor = this.stack.pop();
+        const args = this.stack.pop();
+        return this.construct(constructor, args);
+    }
+
+    /**
+     * 以构造函数方式调用：宿主构造函数直接创建对象，用户函数压入构造调用栈帧
+     * @param {any} constructor - 构造函数
+     * @param {Array} args - 实参列表
+     * @param {any} newTarget - new.target，缺省为构造函数本身（宿主的子类构造时不同）
+     * @returns {any} 宿主构造函数创建的对象（用户函数的结果由RET压栈）
+     */
+    construct(constructor, args, newTarget = constructor) {
+        if (typeof constructor === 'function' && constructor[BOUND_FUNCTION]) {
+            // 绑定函数作为构造函数：忽略预置的this，以预置实参构造目标函数
+            const { target, boundArgs } = constructor[BOUND_FUNCTION];
+            return this.construct(target, boundArgs.concat(args), newTarget === constructor ? target : newTarget);
+        }
+        if (this.isFunctionObject(constructor) && constructor.isArrow) {
+            throw new TypeError(`箭头函数不能作为构造函数: ${constructor.name || 'anonymous'}`);
+        }
+        if (this.isFunctionObject(constructor) && constructor.isGenerator) {
+            throw new TypeError(`生成器函数不能作为构造函数: ${constructor.name || 'anonymous'}`);
+        }
+        if (this.isFunctionObject(constructor) && constructor.isAsync) {
+            throw new TypeError(`async函数不能作为构造函数: ${constructor.name || 'anonymous'}`);
+        }
+        
+        let result;
+        
+        // 对于常见的内置类型，直接创建
+        if (constructor === this.builtins.get('Array') || constructor === Array) {
+            result = new Array(...args);
+        } else if (constructor === this.builtins.get('Object') || constructor === Object) {
+            result = new Object(...args);
+        } else if (constructor === this.builtins.get('String') || constructor === String) {
+            result = new String(...args);
+        } else if (constructor === this.builtins.get('Number') || constructor === Number) {
+            result = new Number(...args);
+        } else if (constructor === this.builtins.get('Boolean') || constructor === Boolean) {
+            result = new Boolean(...args);
+        } else if (this.isFunctionObject(constructor)) {
+            // 用户定义的函数作为构造函数
+            // 1. 创建新对象作为this；派生类的this由super()绑定，在此之前处于未初始化状态
+            const newInstance = constructor.isDerivedClass ? UNINITIALIZED : this.createInstance(newTarget);
+            
+            // 2. 创建新的调用帧，标记为构造函数调用
+            // 3. 设置参数和this（this为新创建的对象）
+            const currentFrame = this.createFunctionFrame(constructor, args, newInstance, true, newInstance, newTarget);
+            
+            // 4. 执行构造函数
+            this.callStack.push(currentFrame);
+            this.pc = constructor.startAddress - 1; // -1因为主循环会自增
+            
+            // 构造函数的返回值将在RET指令中处理
+            return undefined; // 这里不推入栈，等待函数执行完毕
+        } else if (typeof constructor === 'function') {
+            // 对于其他函数，尝试作为构造函数调用，抛出的异常原样传给脚本
+            this.assertNotHostCodeConstructor(constructor);
+            result = this.hideHostResult(newTarget === constructor
+                ? new constructor(...args)
+                : Reflect.construct(constructor, args, newTarget));
+        } else {
+            throw new TypeError(`无法构造对象，构造函数类型: ${typeof constructor}，构造函数: ${JSON.stringify(constructor)}`);
         }
         
-        try {
-            let result;
-            
-            // 对于常见的内置类型，直接创建
-            if (constructor === this.builtins.get('Array') || constructor === Array) {
-                result = new Array(...args);
-            } else if (constructor === this.builtins.get('Object') || constructor === Object) {
-                result = new Object(...args);
-            } else if (constructor === this.builtins.get('String') || constructor === String) {
-                result = new String(...args);
-            } else if (constructor === this.builtins.get('Number') || constructor === Number) {
-                result = new Number(...args);
-            } else if (constructor === this.builtins.get('Boolean') || constructor === Boolean) {
-                result = new Boolean(...args);
-            } else if (typeof constructor === 'function') {
-                // 对于其他函数，尝试作为构造函数调用
-                result = new constructor(...args);
-            } else if (constructor === this.builtins.get('Uint32Array')) {
-                // 使用我们的Uint32Array模拟
-                result = new constructor(...args);
-            } else if (typeof constructor === 'object' && constructor.startAddress !== undefined) {
-                // 用户定义的函数作为构造函数
-                // 1. 创建新对象作为this
-                const newInstance = {};
-                
-                // 2. 创建新的调用帧，标记为构造函数调用
-                const currentFrame = new CallFrame(this.pc, new Map(), true, newInstance, constructor);
-                
-                // 3. 设置参数为局部变量
-                for (let i = 0; i < constructor.params.length; i++) {
-                    const paramName = constructor.params[i];
-                    const argValue = i < args.length ? args[i] : undefined;
-                    currentFrame.locals.set(paramName, argValue);
-                }
-                
-                // 4. 设置this为新创建的对象
-                currentFrame.locals.set('this', newInstance);
-                
-                // 5. 恢复函数的闭包环境
-                if (constructor._closureEnv) {
-                    for (const [closureVarName, closureVarValue] of constructor._closureEnv) {
-                        if (!currentFrame.locals.has(closureVarName)) {
-                            currentFrame.locals.set(closureVarName, closureVarValue);
-                        }
-                    }
+        this.stack.push(result);
+        return result;
+    }
+
+    /**
+     * DEFINE_CLASS指令：建立类的prototype与继承关系
+     * 栈：[父类（派生类才有）, 构造函数] -> [构造函数]
+     */
+    executeDefineClass() {
+        const constructor = this.stack.pop();
+        let prototypeParent = Object.prototype;
+        
+        if (constructor.isDerivedClass) {
+            const superClass = this.stack.pop();
+            if (superClass === null) {
+                prototypeParent = null;
+            } else if ((this.isFunctionObject(superClass) && !superClass.isArrow) || typeof superClass === 'function') {
+                prototypeParent = superClass.prototype;
+                if (prototypeParent === undefined && this.isFunctionObject(superClass)) {
+                    prototypeParent = Object.prototype;
+                } else if (prototypeParent !== null && typeof prototypeParent !== 'object') {
+                    throw new TypeError(`父类的prototype必须是对象或null: ${superClass.name || 'anonymous'}`);
                 }
-                
-                // 6. 简单的同级函数提升
-                this.hoistSiblingFunctionsForIIFE(currentFrame);
-                
-                // 7. 执行构造函数
-                this.callStack.push(currentFrame);
-                this.pc = constructor.startAddress - 1; // -1因为主循环会自增
-                
-                // 构造函数的返回值将在RET指令中处理
-                return undefined; // 这里不推入栈，等待函数执行完毕
+                // 构造函数以父类为原型，从而继承静态成员（环境记录_scope是构造函数自身的属性）
+                Object.setPrototypeOf(constructor, superClass);
             } else {
-                // 对于特殊情况，尝试模拟构造函数调用
-                if (constructor && constructor.name === 'Error') {
-                    // 模拟Error构造函数
-                    result = new Error(args[0] || '');
-                } else {
-                    throw new Error(`无法构造对象，构造函数类型: ${typeof constructor}，构造函数: ${JSON.stringify(constructor)}`);
-                }
+                throw new TypeError(`类继承的父类不是构造函数: ${this.formatValue(superClass)}`);
             }
-            
-            this.stack.push(result);
-            return result;
-        } catch (error) {
-            throw new Error(`构造函数调用失败: ${error.message}`);
         }
+        
+        const prototype = Object.create(prototypeParent);
+        Object.defineProperty(prototype, 'constructor', {
+            value: constructor, writable: true, enumerable: false, configurable: true
+        });
+        Object.defineProperty(constructor, 'prototype', {
+            value: prototype, writable: false, enumerable: false, configurable: false
+        });
+        constructor._homeObject = prototype;
+        
+        this.stack.push(constructor);
+        return constructor;
+    }
+
+    /**
+     * DEFINE_METHOD指令：在类的prototype（静态成员则为构造函数）上定义方法或访问器，
+     * 对象字面量的方法和访问器定义在对象自身上
+     * 栈：[构造函数或对象, 键, 方法函数] -> [构造函数或对象]
+     * @param {number} operand - 描述常量索引 { kind: 'method'|'get'|'set', isStatic, literal }
+     */
+    executeDefineMethod(operand) {
+        const { kind, isStatic, literal } = this.bytecode.constantPool.get(operand);
+        const method = this.stack.pop();
+        const key = this.stack.pop();
+        const owner = this.stack[this.stack.length - 1];
+        // 对象字面量的方法和访问器定义在对象自身上，并且可枚举
+        const target = literal || isStatic ? owner : owner.prototype;
+        const enumerable = !!literal;
+        
+        method._homeObject = target;
+        if (kind === 'method') {
+            Object.defineProperty(target, key, {
+                value: method, writable: true, enumerable, configurable: true
+            });
+        } else {
+            this.defineVMAccessor(target, key, kind, method, enumerable);
+        }
+        return method;
     }
 
     /**
-     * THROW指令：抛出异常
+     * 定义由虚拟机函数实现的访问器，与已有的另一半访问器合并
+     * @param {object} target - 目标对象
+     * @param {string} key - 属性名
+     * @param {string} kind - 'get' | 'set'
+     * @param {object} func - 虚拟机函数对象
+     * @param {boolean} enumerable - 是否可枚举
      */
-    executeThrow() {
-        const value = this.stack.pop();
+    defineVMAccessor(target, key, kind, func, enumerable) {
+        const existing = Object.getOwnPropertyDescriptor(target, key);
+        const descriptor = { get: undefined, set: undefined, enumerable, configurable: true };
+        if (existing && !('value' in existing)) {
+            descriptor.get = existing.get;
+            descriptor.set = existing.set;
+        }
+        descriptor[kind] = func;
+        Object.defineProperty(target, key, descriptor);
+        this.hasVMAccessors = true;
+    }
+
+    /**
+     * 沿原型链查找由虚拟机函数实现的访问器
+     * @param {any} object - 目标对象
+     * @param {string} key - 属性名
+     * @param {string} kind - 'get' | 'set'
+     * @returns {object|null} 虚拟机函数对象
+     */
+    findVMAccessor(object, key, kind) {
+        if (!this.hasVMAccessors) {
+            return null;
+        }
+        let target = object;
+        while (target !== null && target !== undefined) {
+            if (Object.prototype.hasOwnProperty.call(target, key)) {
+                const accessor = Object.getOwnPropertyDescriptor(target, key)[kind];
+                return this.isFunctionObject(accessor) ? accessor : null;
+            }
+            target = Object.getPrototypeOf(target);
+        }
+        return null;
+    }
+
+    /**
+     * 以函数调用的方式执行访问器，执行完毕后由RET把结果压栈
+     * @param {object} func - 访问器函数对象
+     * @param {any} thisValue - 属性所属的对象
+     * @param {Array} args - 实参
+     * @param {object|null} resultOverride - 替代返回值的结果 { value }
+     */
+    invokeVMAccessor(func, thisValue, args, resultOverride = null) {
+        const frame = this.createFunctionFrame(func, args, thisValue);
+        frame.resultOverride = resultOverride;
+        this.callStack.push(frame);
+        this.pc = func.startAddress - 1; // -1因为主循环会自增
+    }
+
+    /**
+     * SUPER_CALL指令：在派生类构造函数中调用父类构造函数，结果为this
+     * 父类是宿主构造函数时由它创建实例，并替换当前的this
+     * 栈：[实参数组]
+     */
+    executeSuperCall() {
+        const args = this.stack.pop();
+        const currentFrame = this.getCurrentFrame();
+        // 箭头函数中的super()作用于词法上外层的构造函数栈帧
+        const frame = currentFrame.currentFunction && currentFrame.currentFunction.isArrow
+            ? currentFrame.currentFunction._thisFrame
+            : currentFrame;
+        const constructor = frame.currentFunction;
+        
+        if (!constructor || !constructor.isDerivedClass) {
+            throw new SyntaxError('super()只能在派生类的构造函数中调用');
+        }
+        
+        const superClass = Object.getPrototypeOf(constructor);
+        const newTarget = frame.locals.get('new.target');
         
-        // 简化实现：直接抛出JavaScript异常
-        // 实际应该实现VM级别的异常处理机制
-        throw value instanceof Error ? value : new Error(String(value));
+        if (this.isFunctionObject(superClass)) {
+            // 父类同样是派生类时它的this也由super()绑定；否则按new.target的prototype创建实例
+            const thisValue = superClass.isDerivedClass ? UNINITIALIZED : this.createInstance(newTarget);
+            const superFrame = this.createFunctionFrame(superClass, args, thisValue, true, thisValue, newTarget);
+            superFrame.superCaller = frame;
+            this.callStack.push(superFrame);
+            this.pc = superClass.startAddress - 1; // -1因为主循环会自增
+            return undefined;
+        }
+        
+        if (typeof superClass !== 'function') {
+            throw new TypeError(`父类不是构造函数: ${constructor.name || 'anonymous'}`);
+        }
+        const instance = Reflect.construct(superClass, args);
+        Object.setPrototypeOf(instance, Object.getPrototypeOf(this.createInstance(newTarget)));
+        this.bindSuperThis(frame, instance);
+        this.stack.push(instance);
+        return instance;
     }
 
     /**
-     * TRY指令：开始try块
+     * super()返回后把父类构造函数的结果绑定为派生类构造函数的this
+     * @param {CallFrame} frame - 调用super()的派生类构造函数栈帧
+     * @param {object} instance - 父类构造函数的结果
      */
-    executeTry() {
-        // 简化实现：标记try块开始
-        // 实际应该建立异常处理栈帧
-        return undefined;
+    bindSuperThis(frame, instance) {
+        if (frame.locals.get('this') !== UNINITIALIZED) {
+            throw new ReferenceError('super()只能调用一次');
+        }
+        frame.locals.set('this', instance);
+        frame.newInstance = instance;
     }
 
     /**
-     * CATCH指令：开始catch块
+     * 为构造函数调用创建新对象，原型为new.target的prototype（prototype不是对象时为Object.prototype）
+     * @param {object} newTarget - new.target
+     * @returns {object} 新对象
      */
-    executeCatch() {
-        // 简化实现：标记catch块开始
-        // 实际应该处理异常并设置异常变量
-        return undefined;
+    createInstance(newTarget) {
+        const prototype = newTarget.prototype;
+        return prototype !== null && (typeof prototype === 'object' || typeof prototype === 'function')
+            ? Object.create(prototype)
+            : {};
+    }
+
+    /**
+     * GET_SUPER指令：从当前方法所属对象（home object）的原型上读取属性
+     * getter以当前的this执行
+     */
+    executeGetSuper() {
+        const propertyName = this.stack.pop();
+        const frame = this.getCurrentFrame();
+        const homeObject = frame.currentFunction && frame.currentFunction._homeObject;
+        
+        if (!homeObject) {
+            throw new SyntaxError(`'super'只能在类的方法中使用`);
+        }
+        
+        const prototype = Object.getPrototypeOf(homeObject);
+        if (prototype === null) {
+            this.stack.push(undefined);
+            return undefined;
+        }
+        
+        const getter = this.findVMAccessor(prototype, propertyName, 'get');
+        if (getter) {
+            this.invokeVMAccessor(getter, this.getFrameThis(frame), []);
+            return undefined;
+        }
+        
+        const value = this.hideHostValue(prototype[propertyName]);
+        this.stack.push(value);
+        return value;
+    }
+
+    /**
+     * THROW指令：抛出异常
+     * 抛出原始值，由主循环交给handleException查找处理器
+     */
+    executeThrow() {
+        const value = this.stack.pop();
+        throw value;
     }
 
     /**
-     * FINALLY指令：开始finally块
+     * TRY指令：在当前栈帧安装异常处理器
+     * @param {number} operand - 处理器入口地址（catch块或finally的异常路径）
      */
-    executeFinally() {
-        // 简化实现：标记finally块开始
+    executeTry(operand) {
+        const frame = this.getCurrentFrame();
+        frame.handlers.push({
+            address: operand,
+            stackHeight: this.stack.length,
+            scope: frame.scope
+        });
         return undefined;
     }
 
     /**
-     * END_TRY指令：结束try/catch/finally
+     * END_TRY指令：受保护区域正常结束，卸载当前异常处理器
      */
     executeEndTry() {
-        // 简化实现：标记try语句结束
+        const frame = this.getCurrentFrame();
+        if (frame.handlers.length === 0) {
+            throw new Error('没有可卸载的异常处理器');
+        }
+        frame.handlers.pop();
         return undefined;
     }
 
@@ -2083,5 +3755,5 @@ class VirtualMachine {
     }
 }
 
-module.exports = { VirtualMachine, CallFrame }; 
+module.exports = { VirtualMachine, CallFrame, Scope }; 
 
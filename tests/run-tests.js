@@ -7,10 +7,10 @@ console.log('🧪 JSVMP 测试套件\n');
 let passed = 0;
 let failed = 0;
 
-function test(name, code, expected) {
+function test(name, code, expected, context = {}, options = {}) {
     try {
-        const vm = new JSVMP();
-        const result = vm.run(code);
+        const vm = new JSVMP(options);
+        const result = vm.run(code, context);
         
         if (JSON.stringify(result) === JSON.stringify(expected)) {
             console.log(`✅ ${name}`);
@@ -27,11 +27,68 @@ function test(name, code, expected) {
     }
 }
 
+const asyncTests = [];
+
+function testAsync(name, code, expected, context = {}) {
+    asyncTests.push(async () => {
+        try {
+            const vm = new JSVMP();
+            const result = await vm.runAsync(code, context);
+            
+            if (JSON.stringify(result) === JSON.stringify(expected)) {
+                console.log(`✅ ${name}`);
+                passed++;
+            } else {
+                console.log(`❌ ${name}`);
+                console.log(`   期望: ${JSON.stringify(expected)}`);
+                console.log(`   实际: ${JSON.stringify(result)}`);
+                failed++;
+            }
+        } catch (error) {
+            console.log(`❌ ${name} - 错误: ${error.message}`);
+            failed++;
+        }
+    });
+}
+
+function testError(name, code, expectedMessage, options = {}) {
+    try {
+        const vm = new JSVMP(options);
+        const result = vm.run(code);
+        console.log(`❌ ${name}`);
+        console.log(`   期望抛出: ${expectedMessage}`);
+        console.log(`   实际结果: ${JSON.stringify(result)}`);
+        failed++;
+    } catch (error) {
+        if (error.message.includes(expectedMessage)) {
+            console.log(`✅ ${name}`);
+            passed++;
+        } else {
+            console.log(`❌ ${name}`);
+            console.log(`   期望错误: ${expectedMessage}`);
+            console.log(`   实际错误: ${error.message}`);
+            failed++;
+        }
+    }
+}
+
 // 基础运算测试
 test('基础算术运算', '2 + 3 * 4', 14);
 test('括号优先级', '(2 + 3) * 4', 20);
 test('位运算', '5 | 3', 7);
 test('位移运算', '8 >> 2', 2);
+test('抽象相等与严格相等', "[null == undefined, null === undefined, '1' == 1, '1' === 1, 0 != false, 0 !== false]", [true, false, true, false, false, true]);
+test('switch使用严格比较', "var r; switch ('1') { case 1: r = 'number'; break; case '1': r = 'string'; break; } r", 'string');
+test('in与幂运算', "var c = { port: 0 }; ['port' in c, 'host' in c, 'toString' in c, 2 ** 10, 2 ** 3 ** 2]", [true, false, true, 1024, 512]);
+test('空值合并运算符', "var c = { port: 0, host: null }; [c.port ?? 80, c.host ?? 'localhost', c.missing ?? 'none']", [0, 'localhost', 'none']);
+test('空值合并短路', 'var calls = 0; function fallback() { calls++; return 1; } var v = 5 ?? fallback(); [v, calls]', [5, 0]);
+test('instanceof', `
+    class Shape {}
+    class Circle extends Shape {}
+    function Legacy() {}
+    var c = new Circle();
+    [c instanceof Circle, c instanceof Shape, c instanceof Object, new Shape() instanceof Circle, [] instanceof Array, 1 instanceof Shape, new Legacy() instanceof Circle]
+`, [true, true, true, false, true, false, false]);
 
 // 变量和函数测试
 test('变量声明', 'var x = 10; x', 10);
@@ -71,12 +128,996 @@ test('复合赋值', `
     arr[0]
 `, 7);
 
-console.log(`\n📊 测试结果: ${passed} 通过, ${failed} 失败`);
+// 异常处理测试
+test('try/catch捕获throw的值', `
+    var r;
+    try { throw 42; r = 1; } catch (e) { r = e; }
+    r
+`, 42);
+
+test('无异常时不执行catch', `
+    var r = 'ok';
+    try { r = 'try'; } catch (e) { r = 'catch'; }
+    r
+`, 'try');
+
+test('异常跨函数栈帧展开', `
+    function fail(n) { if (n === 0) throw 'deep'; return fail(n - 1); }
+    var r;
+    try { fail(3); } catch (e) { r = e + '!'; }
+    r
+`, 'deep!');
+
+test('finally在正常结束和异常时执行', `
+    var log = [];
+    try { log.push('a'); } finally { log.push('b'); }
+    try { try { throw 1; } finally { log.push('c'); } } catch (e) { log.push('d' + e); }
+    log.join(',')
+`, 'a,b,c,d1');
+
+test('finally在return时执行', `
+    var log = [];
+    function f() {
+        try { return 'ret'; } finally { log.push('fin'); }
+    }
+    var r = f();
+    r + ':' + log.join(',')
+`, 'ret:fin');
+
+test('finally在break和continue时执行', `
+    var log = [];
+    for (var i = 0; i < 3; i++) {
+        try {
+            if (i === 0) continue;
+            if (i === 2) break;
+            log.push('body' + i);
+        } finally {
+            log.push('fin' + i);
+        }
+    }
+    log.join(',')
+`, 'fin0,body1,fin1,fin2');
+
+test('catch中重新抛出由外层捕获', `
+    var r;
+    try {
+        try { throw 'inner'; } catch (e) { throw e + '-rethrown'; } finally { r = 'fin'; }
+    } catch (e2) { r = r + ':' + e2; }
+    r
+`, 'fin:inner-rethrown');
+
+test('捕获宿主函数抛出的异常', `
+    var r;
+    try { hostFail(); } catch (e) { r = e.message; }
+    r
+`, 'host error', { hostFail: () => { throw new Error('host error'); } });
+
+const constructorError = { code: 42 };
+test('宿主构造函数的异常原样抛给脚本', `
+    var r = [];
+    try { new Map(5); } catch (e) { r.push(e instanceof TypeError); }
+    try { new Failing(); } catch (e) { r.push(e === token); }
+    r
+`, [true, true], { Failing: function () { throw constructorError; }, token: constructorError });
+
+test('捕获虚拟机运行时错误', `
+    var r;
+    try { var o = null; o.x; } catch (e) { r = 'caught'; }
+    r
+`, 'caught');
+
+testError('未捕获的异常抛给宿主', 'throw "boom"', 'boom');
+
+// 块级作用域测试
+test('let块级作用域遮蔽', `
+    let x = 1;
+    { let x = 2; x = 3; }
+    x
+`, 1);
+
+test('for循环let每次迭代独立绑定', `
+    var fns = [];
+    for (let i = 0; i < 3; i++) {
+        fns.push(function() { return i; });
+    }
+    fns[0]() + fns[1]() * 10 + fns[2]() * 100
+`, 210);
+
+test('for-in的const每次迭代独立绑定', `
+    var getters = [];
+    for (const key in { a: 1 }) {
+        getters.push(function() { return key; });
+    }
+    getters[0]()
+`, 'a');
+
+test('块内let在break和continue后正确离开作用域', `
+    let sum = 0;
+    for (let i = 0; i < 5; i++) {
+        let doubled = i * 2;
+        if (i === 1) continue;
+        if (i === 3) break;
+        sum += doubled;
+    }
+    sum
+`, 4);
+
+test('catch参数只在catch块内可见', `
+    var e = 'outer';
+    try { throw 'inner'; } catch (e) { e = 'changed'; }
+    e
+`, 'outer');
+
+testError('暂时性死区', '{ x; let x = 1; }', '初始化之前无法访问变量: x');
+testError('顶层暂时性死区遮蔽内置对象', 'typeof Map; let Map = 1;', '初始化之前无法访问变量: Map');
+testError('顶层声明之前读取let', 'var r = x; let x = 1;', '初始化之前无法访问变量: x');
+test('顶层let/const不是全局this的属性', `
+    let a = 1;
+    const b = 2;
+    function f() { return a + b; }
+    [typeof this.a, typeof globalThis.b, f()]
+`, ['undefined', 'undefined', 3]);
+testError('给const赋值', 'const c = 1; c = 2;', '不能给常量赋值: c');
+testError('函数内给外层const赋值', 'const c = 1; function f() { c++; } f();', '不能给常量赋值: c');
+
+// 声明提升测试
+test('函数声明在作用域入口创建', `
+    function outer() { return inner(); function inner() { return 'inner'; } }
+    var viaIIFE = (function() { return helper(); })();
+    function helper() { return 'h'; }
+    var beforeBlock = typeof blockFn;
+    { var inBlock = blockFn(); function blockFn() { return 'block'; } }
+    [early(), outer(), viaIIFE, beforeBlock, inBlock];
+    function early() { return 'early'; }
+`, ['early', 'inner', 'h', 'undefined', 'block']);
+test('switch中的函数声明在进入switch时创建', `
+    var r;
+    switch (1) {
+        case 1: r = k(); break;
+        case 2: function k() { return 5; }
+    }
+    r
+`, 5);
+
+test('var提升为undefined且重复声明不改变值', `
+    function f(x) { var before = y; var y = 3; var x; return [before, y, x]; }
+    var r = z; var z = 5;
+    var k = 1; var k;
+    [r, z, k, f(7)]
+`, [undefined, 5, 1, [undefined, 3, 7]]);
+
+test('声明之后才赋值的外层变量', `
+    function outer() { var n = 1; function get() { return n; } n = 2; return get(); }
+    var total = 0;
+    function add(v) { total += v; }
+    function run() { var total = 100; add(1); return total; }
+    [outer(), run(), total]
+`, [2, 100, 1]);
+
+// 闭包环境测试
+test('闭包共享同一个环境记录', `
+    function makeCounter() {
+        var count = 0;
+        function inc() { return ++count; }
+        function get() { return count; }
+        return { inc: inc, get: get, reset: () => { count = 0; } };
+    }
+    var a = makeCounter(), b = makeCounter();
+    a.inc(); a.inc(); b.inc();
+    var before = [a.get(), b.get()];
+    a.reset();
+    [before, a.get(), b.get(), a.inc()]
+`, [[2, 1], 0, 1, 1]);
+
+test('闭包捕获的对象按引用共享', `
+    function memoize(fn) {
+        var cache = {};
+        var calls = 0;
+        return {
+            get(k) { if (!(k in cache)) { calls++; cache[k] = fn(k); } return cache[k]; },
+            cache: () => cache,
+            calls: () => calls
+        };
+    }
+    var m = memoize(x => x * 2);
+    m.get(1); m.get(2); m.get(1);
+    [m.calls(), Object.keys(m.cache()).join(','), m.cache() === m.cache()]
+`, [2, '1,2', true]);
+
+test('闭包按词法作用域而不是调用栈查找变量', `
+    var name = 'global';
+    function read() { return name; }
+    function call() { var name = 'local'; return read(); }
+    function outer() { var x = 1; function mid() { return () => x; } var r = mid(); x = 5; return r; }
+    var fact = function f(n) { return n <= 1 ? 1 : n * f(n - 1); };
+    [call(), outer()(), fact(5)]
+`, ['global', 5, 120]);
+
+// 箭头函数测试
+test('箭头函数表达式体', 'var add = (a, b) => a + b; add(2, 3)', 5);
+test('箭头函数块语句体', 'var f = x => { var y = x * 2; return y + 1; }; f(4)', 9);
+test('箭头函数作为参数', 'function apply(f, x) { return f(x); } apply(x => x * 2, 21)', 42);
+
+test('箭头函数捕获外层this', `
+    var obj = {
+        value: 42,
+        get: function() {
+            var read = () => this.value;
+            return read();
+        }
+    };
+    obj.get()
+`, 42);
+
+test('箭头函数作为方法调用时不重新绑定this', `
+    var source = { value: 1, make: function() { return () => this.value; } };
+    var other = { value: 2, read: source.make() };
+    other.read()
+`, 1);
+
+testError('箭头函数不能作为构造函数', 'var Arrow = () => 1; new Arrow()', '箭头函数不能作为构造函数');
+
+// 类测试
+test('类的构造函数、方法与访问器', `
+    class Point {
+        constructor(x, y) { this.x = x; this.y = y; }
+        get sum() { return this.x + this.y; }
+        set sum(v) { this.x = v - this.y; }
+        scale(k) { this.x *= k; this.y *= k; return this; }
+    }
+    var p = new Point(1, 2).scale(2);
+    p.sum = 10;
+    [p.x, p.y, p.sum]
+`, [6, 4, 10]);
+
+test('类的静态方法、静态字段与实例字段', `
+    class Counter {
+        static created = 0;
+        count = 0;
+        constructor() { Counter.created++; }
+        static create() { return new this(); }
+    }
+    var c = Counter.create();
+    c.count++;
+    new Counter();
+    [Counter.created, c.count]
+`, [2, 1]);
+
+test('类继承与super调用', `
+    class Animal {
+        kind = 'animal';
+        constructor(name) { this.name = name; }
+        speak() { return this.name + ' makes a sound'; }
+        static describe() { return 'Animal'; }
+    }
+    class Dog extends Animal {
+        tricks = ['sit'];
+        constructor(name) { super(name); this.tricks.push('roll'); }
+        speak() { return super.speak() + ' (woof)'; }
+    }
+    class Puppy extends Dog {}
+    var d = new Puppy('Rex');
+    [d.speak(), d.kind, d.tricks.length, Puppy.describe()]
+`, ['Rex makes a sound (woof)', 'animal', 2, 'Animal']);
+
+test('类继承宿主构造函数', `
+    class HttpError extends Error {
+        constructor(status, message) { super(message); this.status = status; }
+    }
+    var result;
+    try { throw new HttpError(404, 'not found'); } catch (e) { result = [e.status, e.message]; }
+    result
+`, [404, 'not found'], { Error });
+
+testError('类构造函数不能直接调用', 'class A {} A()', '类构造函数不能在没有new的情况下调用');
+
+test('两级派生自宿主类', `
+    class AppError extends Error { constructor(m) { super(m); this.a = 1; } }
+    class NotFound extends AppError { constructor(m) { super(m); this.b = 2; } }
+    class Base extends Map {}
+    class Store extends Base {}
+    const e = new NotFound('missing');
+    const store = new Store();
+    store.set(1, 2);
+    [e.message, e.a, e.b, e instanceof NotFound, e instanceof AppError, e instanceof Error, store.get(1), store instanceof Map]
+`, ['missing', 1, 2, true, true, true, 2, true]);
+
+test('派生类构造函数中的this与super()', `
+    class A { constructor() { return { fromBase: true }; } }
+    class B extends A { constructor() { super(); this.b = 2; } }
+    const errors = [];
+    for (const body of [
+        class extends A { constructor() { this.x = 1; super(); } },
+        class extends A { constructor() {} },
+        class extends A { constructor() { super(); super(); } }
+    ]) {
+        try { new body(); } catch (e) { errors.push(e instanceof ReferenceError); }
+    }
+    [new B(), errors]
+`, [{ fromBase: true, b: 2 }, [true, true, true]]);
+
+test('箭头函数中调用super()', `
+    class A { constructor(v) { this.a = v; } }
+    class B extends A {
+        constructor() {
+            const self = () => this;
+            const init = () => () => super(1);
+            init()();
+            this.same = self() === this;
+        }
+    }
+    class M extends Map { constructor() { (() => super([['k', 2]]))(); } }
+    const b = new B();
+    [b.a, b.same, b instanceof B, new M().get('k')]
+`, [1, true, true, 2]);
+
+// 可选链测试
+test('可选成员访问', `
+    [payload?.user?.profile?.name, missing?.user.profile.name, payload.none?.a.b, payload?.user.profile.tags?.[1]]
+`, ['Ada', undefined, undefined, 'y'], {
+    payload: { user: { profile: { name: 'Ada', tags: ['x', 'y'] } } },
+    missing: null
+});
+
+test('可选调用保留this', `
+    var user = { name: 'Ada', greet: function(p) { return p + this.name; } };
+    [user.greet?.('hi '), user.nope?.(1), user?.greet('yo ')]
+`, ['hi Ada', undefined, 'yo Ada']);
+
+test('可选链短路时不求值实参', `
+    var count = 0;
+    function next() { count++; return 'k'; }
+    var none = null;
+    [none?.[next()], none?.run(next()), none?.(next()), count]
+`, [undefined, undefined, undefined, 0]);
+
+// 解构测试
+test('对象解构：嵌套、默认值与剩余属性', `
+    var { a, b: { c = 5, d }, ...rest } = { a: 1, b: { d: 2 }, e: 3, f: 4 };
+    [a, c, d, rest.e, rest.f, rest.a]
+`, [1, 5, 2, 3, 4, undefined]);
+
+test('数组解构：空位、默认值与剩余元素', 'const [x, , y = 9, ...zs] = [1, 2, undefined, 4, 5]; [x, y, zs]', [1, 9, [4, 5]]);
+
+test('计算属性键解构', `
+    let key = 'dyn';
+    const { [key]: v, [key + '2']: w = 'def', ...others } = { dyn: 1, z: 2 };
+    [v, w, others]
+`, [1, 'def', { z: 2 }]);
+
+test('函数参数解构', `
+    function configure({ name, opts: { verbose = false } = {} }, [first, ...more]) {
+        return [name, verbose, first, more];
+    }
+    var area = ({ w, h }) => w * h;
+    [configure({ name: 'job' }, [1, 2, 3]), area({ w: 3, h: 4 })]
+`, [['job', false, 1, [2, 3]], 12]);
+
+test('参数遮蔽同名全局变量', 'var a = 1; function f(a) { return a; } var g = ([a]) => a; [f(5), g([6])]', [5, 6]);
 
-if (failed === 0) {
-    console.log('🎉 所有测试通过！');
-    process.exit(0);
-} else {
-    console.log('💥 有测试失败！');
-    process.exit(1);
-} 
\ No newline at end of file
+test('解构赋值表达式', `
+    var p = 1, q = 2;
+    [p, q] = [q, p];
+    var target = {};
+    ({ a: target.x, b: target['y'] } = { a: 'A', b: 'B' });
+    [p, q, target.x, target.y]
+`, [2, 1, 'A', 'B']);
+
+test('catch参数与for-in头部解构', `
+    var result = [];
+    try { throw { code: 7, detail: { msg: 'bad' } }; } catch ({ code, detail: { msg } }) { result.push(code, msg); }
+    for (const [first, second] in { ab: 1 }) { result.push(first + second); }
+    result
+`, [7, 'bad', 'ab']);
+test('catch参数为空解构模式', `
+    let x = 1;
+    try { throw {}; } catch ({}) { x++; }
+    function f() { let y = 2; try { throw []; } catch ([]) { y++; } return y; }
+    [x, f()]
+`, [2, 3]);
+
+// 展开与剩余参数测试
+test('剩余参数与展开实参', `
+    function sum(first, ...nums) {
+        var total = first;
+        for (var i = 0; i < nums.length; i++) total += nums[i];
+        return [total, Array.isArray(nums)];
+    }
+    var xs = [2, 3];
+    [sum(1, ...xs, 4), sum(1), Math.max(...xs)]
+`, [[10, true], [1, true], 3]);
+
+test('数组与对象展开', `
+    var a = [1, 2];
+    var merged = Object.assign({ x: 1 }, { y: 2 });
+    var copy = { ...merged, y: 3, ...null, z: 4 };
+    [[0, ...a, 3, ...'hi'], copy.x, copy.y, copy.z]
+`, [[0, 1, 2, 3, 'h', 'i'], 1, 3, 4]);
+
+test('new、方法调用与super中的展开', `
+    function Point(x, y) { this.x = x; this.y = y; }
+    class Base { constructor(a, b) { this.sum = a + b; } }
+    class Implicit extends Base {}
+    class Explicit extends Base { constructor(...args) { super(...args, 100); } }
+    var obj = { base: 10, count: function(...n) { return this.base + n.length; } };
+    var p = new Point(...[3, 4]);
+    [p.x, p.y, new Implicit(1, 2).sum, new Explicit(5).sum, obj.count(...[1, 2, 3])]
+`, [3, 4, 3, 105, 13]);
+
+// 默认参数与arguments测试
+test('默认参数从左到右求值并可引用前面的参数', `
+    function f(a, b = a * 2, c = a + b) { return [a, b, c]; }
+    var k = 10;
+    function g(x = k) { var k = 3; return x; }
+    [f(1), f(1, 5), f(1, undefined, 0), f(1, null), g()]
+`, [[1, 2, 3], [1, 5, 6], [1, 2, 0], [1, null, 1], 10]);
+
+test('arguments对象', `
+    function list() { return [arguments.length, arguments[0], Array.prototype.slice.call(arguments, 1), [...arguments]]; }
+    function Counter() { this.count = arguments.length; }
+    function outer() { var arrow = () => arguments[0]; return arrow(99); }
+    function shadow(arguments) { return arguments; }
+    [list(1, 2, 3), new Counter(1, 2).count, outer(7), shadow(4)]
+`, [[3, 1, [2, 3], [1, 2, 3]], 2, 7, 4]);
+
+// for-of与迭代器测试
+test('for-of遍历数组、字符串与Map/Set', `
+    var out = [];
+    for (const x of [1, 2, 3, 4]) { if (x % 2) continue; out.push(x); }
+    for (var ch of 'ab') out.push(ch);
+    for (const [k, v] of new Map([['a', 1], ['b', 2]])) out.push(k + v);
+    for (let s of new Set([5, 5, 6])) out.push(s);
+    var fns = [];
+    for (let i of [1, 2]) fns.push(() => i);
+    out.push(fns[0](), fns[1]());
+    out
+`, [2, 4, 'a', 'b', 'a1', 'b2', 5, 6, 1, 2], { Map, Set });
+
+test('自定义迭代器与提前结束时关闭迭代器', `
+    var log = [];
+    class Range {
+        constructor(n) { this.i = 0; this.n = n; }
+        [Symbol.iterator]() { return this; }
+        next() { return this.i < this.n ? { value: this.i++, done: false } : { value: undefined, done: true }; }
+        return() { log.push('closed'); return {}; }
+    }
+    for (const v of new Range(5)) { if (v === 2) break; log.push(v); }
+    function find() { for (const v of new Range(5)) { if (v === 3) return v; } }
+    log.push(find());
+    try { for (const v of new Range(5)) { throw 'boom'; } } catch (e) { log.push(e); }
+    for (const v of new Range(2)) log.push('v' + v);
+    log
+`, [0, 1, 'closed', 'closed', 3, 'closed', 'boom', 'v0', 'v1'], { Symbol });
+
+test('展开与数组解构使用迭代器协议', `
+    var log = [];
+    class Range {
+        constructor(n) { this.i = 0; this.n = n; }
+        [Symbol.iterator]() { return this; }
+        next() { return this.i < this.n ? { value: this.i++, done: false } : { value: undefined, done: true }; }
+        return() { log.push('closed'); return {}; }
+    }
+    var [a, b] = new Range(10);
+    var [c, d] = new Range(1);
+    var [first, , ...others] = 'hello';
+    [a, b, c, d, log, [...new Range(3)], first, others]
+`, [0, 1, 0, undefined, ['closed'], [0, 1, 2], 'h', ['l', 'l', 'o']], { Symbol });
+
+testError('for-of不可迭代的值', 'for (const x of 5) {}', '不可迭代');
+
+// 生成器测试
+test('生成器的next传值与返回值', `
+    function* calc() { var x = yield 1; var y = 1 + (yield x + 1); return x + y; }
+    var it = calc();
+    [it.next(), it.next(10), it.next(5), it.next().done]
+`, [{ value: 1, done: false }, { value: 11, done: false }, { value: 16, done: true }, true]);
+
+test('生成器与for-of、展开和解构', `
+    function* fib() { var a = 0, b = 1; while (true) { yield a; [a, b] = [b, a + b]; } }
+    class Pair { constructor() { this.a = 1; this.b = 2; } *items() { yield this.a; yield this.b; } }
+    var out = [];
+    for (const n of fib()) { if (n > 20) break; out.push(n); }
+    var [first, second] = fib();
+    [out, [...new Pair().items()], first, second, Object.prototype.toString.call(fib())]
+`, [[0, 1, 1, 2, 3, 5, 8, 13], [1, 2], 0, 1, '[object Generator]']);
+
+test('生成器的return与throw', `
+    var log = [];
+    function* guarded() { try { yield 1; yield 2; } finally { log.push('cleanup'); } }
+    function* retry() { try { yield 1; } catch (e) { yield 'caught ' + e; } yield 3; }
+    var g = guarded();
+    g.next();
+    var r = retry();
+    [g.return(9), g.next().done, log, r.next().value, r.throw('E').value, r.next().value, guarded().return(4)]
+`, [{ value: 9, done: true }, true, ['cleanup'], 1, 'caught E', 3, { value: 4, done: true }]);
+
+test('yield*委托', `
+    function* inner() { var r = yield 'a'; yield r; return 'inner-done'; }
+    function* outer() { var v = yield* inner(); yield v; yield* [7, 8]; }
+    function* catcher() { try { yield 1; } catch (e) { yield 'inner caught ' + e; } }
+    function* wrapper() { yield* catcher(); }
+    var it = outer();
+    var w = wrapper();
+    w.next();
+    [it.next().value, it.next('R').value, it.next().value, it.next().value, it.next().value, it.next().done, w.throw('X').value]
+`, ['a', 'R', 'inner-done', 7, 8, true, 'inner caught X']);
+
+testError('生成器函数不能作为构造函数', 'function* gen() {} new gen();', '生成器函数不能作为构造函数');
+
+// 标签语句测试
+test('带标签的break与continue跨越嵌套循环', `
+    var out = [];
+    outer: for (var i = 0; i < 3; i++) {
+        for (var j = 0; j < 3; j++) {
+            if (j === 1) continue outer;
+            if (i === 2) break outer;
+            out.push(i + '' + j);
+        }
+    }
+    a: b: for (const x of [1, 2, 3]) {
+        for (const y of [1, 2]) {
+            if (x === 2) continue a;
+            if (x === 3) break b;
+            out.push(x * 10 + y);
+        }
+    }
+    out
+`, ['00', '10', 11, 12]);
+
+test('switch中的break与continue', `
+    var out = [];
+    for (var i = 0; i < 4; i++) {
+        switch (i) { case 1: continue; case 2: break; default: out.push('d' + i); }
+        out.push(i);
+    }
+    loop: while (true) {
+        switch (out.length) { case 7: break loop; default: out.push('w'); }
+    }
+    sw: switch (1) { case 1: for (;;) { break sw; } out.push('no'); }
+    out
+`, ['d0', 0, 2, 'd3', 3, 'w', 'w']);
+
+test('break跳出带标签的块和try/finally', `
+    var out = [];
+    blk: { out.push(1); if (out.length) break blk; out.push(2); }
+    outer: for (let i = 0; i < 2; i++) {
+        try { for (;;) { continue outer; } } finally { out.push('f' + i); }
+    }
+    out
+`, [1, 'f0', 'f1']);
+
+testError('未定义的标签', 'for (;;) { break missing; }', 'Unsyntactic break');
+
+// 对象字面量方法与访问器测试
+test('对象字面量中的方法、访问器与计算属性键', `
+    var key = 'dyn';
+    var o = {
+        base: 10,
+        add(n) { return this.base + n; },
+        get double() { return this.base * 2; },
+        set double(v) { this.base = v / 2; },
+        [key + 1]: 'computed',
+        ['m' + 2]() { return 'cm'; }
+    };
+    var before = o.double;
+    o.double = 50;
+    [o.add(5), before, o.double, o.dyn1, o.m2(), Object.keys(o).join(',')]
+`, [30, 20, 50, 'computed', 'cm', 'base,add,double,dyn1,m2']);
+
+test('对象字面量按源码顺序求值，重复键保留首次位置', `
+    var log = [];
+    function k(name) { log.push('k' + name); return name; }
+    function v(name) { log.push('v' + name); return name; }
+    var o = { [k(1)]: v(1), [k(2)]: v(2) };
+    var d = { x: 1, y: 2, x: 3 };
+    [log.join(','), Object.keys(d).join(','), d.x]
+`, ['k1,v1,k2,v2', 'x,y', 3]);
+
+test('对象字面量的__proto__与方法中的super', `
+    var proto = { greet() { return 'hi ' + this.name; } };
+    var o = { __proto__: proto, name: 'x', greet() { return super.greet() + '!'; } };
+    var idGen = { *ids() { yield 1; yield 2; } };
+    [o.greet(), Object.getPrototypeOf(o) === proto, Object.keys(o).join(','), [...idGen.ids()].join(',')]
+`, ['hi x!', true, 'name,greet', '1,2']);
+
+// 标签模板测试
+test('标签模板传入带raw的字符串数组和替换值', `
+    function tag(strings, ...values) {
+        return strings.join('|') + ':' + values.join(',') + ':' + strings.raw.join('|');
+    }
+    var o = { prefix: 'P', tag(strings, x) { return this.prefix + strings[0] + x; } };
+    [tag\`a\${1}b\\n\${2}c\`, o.tag\`q\${5}\`, String.raw\`x\\ny\${1 + 1}\`, hostTag\`v=\${42}!\`]
+`, ['a|b\n|c:1,2:a|b\\n|c', 'Pq5', 'x\\ny2', 'v=_!42'], { hostTag: (strings, ...values) => strings.raw.join('_') + values[0] });
+
+test('标签模板的字符串数组被冻结并按调用位置缓存', `
+    function t(strings) { return strings; }
+    function f() { return t\`a\${1}\`; }
+    var a = f();
+    [a === f(), t\`a\${1}\` === a, Object.isFrozen(a), Object.isFrozen(a.raw), t\`\\unicode\`[0], t\`\`.length]
+`, [true, false, true, true, undefined, 1]);
+
+// 函数原型方法测试
+test('虚拟机函数的call、apply与bind', `
+    function describe(greeting, mark) { return greeting + ' ' + this.name + mark; }
+    var user = { name: 'Ann' };
+    var hello = describe.bind(user, 'hello');
+    function sum() { var t = 0; for (var i = 0; i < arguments.length; i++) { t += arguments[i]; } return t; }
+    [describe.call(user, 'hi', '!'), describe.apply(user, ['hey', '?']), hello('.'), sum.apply(null, [1, 2, 3]), [1, 2].map(x => sum.call(null, x, 10))]
+`, ['hi Ann!', 'hey Ann?', 'hello Ann.', 6, [11, 12]]);
+
+test('绑定函数作为构造函数', `
+    function Point(x, y) { this.x = x; this.y = y; }
+    Point.prototype = { sum() { return this.x + this.y; } };
+    var AtTen = Point.bind({ ignored: true }, 10);
+    var p = new AtTen(5);
+    [p.sum(), p.ignored, p instanceof AtTen, p instanceof Point, typeof AtTen]
+`, [15, undefined, true, true, 'function']);
+
+test('函数的name、length与toString', `
+    function f(a, b = 1, ...rest) {}
+    const arrow = (x, y) => x + y;
+    var anon = function () {};
+    const obj = { method() {}, prop: () => 1 };
+    const Named = class {};
+    [f.name, f.length, arrow.name, arrow.length, anon.name, obj.method.name, obj.prop.name, Named.name,
+     f.bind(null, 1).name, arrow.bind(null, 1).length, arrow.toString(), String(arrow)]
+`, ['f', 1, 'arrow', 2, 'anon', 'method', 'prop', 'Named', 'bound f', 1, '(x, y) => x + y', '(x, y) => x + y']);
+
+// 原型与new测试
+test('构造函数的prototype与原型继承', `
+    function Animal(name) { this.name = name; }
+    Animal.prototype.speak = function () { return this.name + ' makes a sound'; };
+    function Dog(name) { Animal.call(this, name); }
+    Dog.prototype = Object.create(Animal.prototype);
+    Dog.prototype.constructor = Dog;
+    Dog.prototype.speak = function () { return Animal.prototype.speak.call(this) + ': woof'; };
+    var d = new Dog('Rex');
+    [d.speak(), d instanceof Dog, d instanceof Animal, d.constructor === Dog, new Animal('x').constructor === Animal,
+     Object.getPrototypeOf(d) === Dog.prototype, Object.keys(Animal.prototype), Animal.prototype.hasOwnProperty('constructor')]
+`, ['Rex makes a sound: woof', true, true, true, true, true, ['speak'], true]);
+
+test('没有prototype的函数与返回对象的构造函数', `
+    const arrow = () => 1;
+    const obj = { method() {}, *gen() { yield 1; } };
+    function Factory() { this.ignored = true; return function made() {}; }
+    function Plain() {}
+    Plain.prototype = 3;
+    [arrow.prototype, obj.method.prototype, typeof obj.gen.prototype, typeof new Factory(), Object.getPrototypeOf(new Plain()) === Object.prototype]
+`, [undefined, undefined, 'object', 'function', true]);
+
+test('new.target', `
+    function Point(x) {
+        if (!new.target) return new Point(x);
+        this.x = x;
+        this.viaArrow = (() => new.target === Point)();
+    }
+    class Base { constructor() { this.kind = new.target.name; } }
+    class Derived extends Base {}
+    function plain() { return new.target; }
+    [Point(1).x, new Point(2).viaArrow, new Base().kind, new Derived().kind, plain(), new plain() === plain]
+`, [1, true, 'Base', 'Derived', undefined, true]);
+
+// delete测试
+test('delete删除对象属性与数组元素', `
+    const cache = { a: 1, b: 2, c: 3 };
+    const key = 'b';
+    const arr = [1, 2, 3];
+    const frozen = {};
+    Object.defineProperty(frozen, 'x', { value: 1 });
+    [delete cache.a, delete cache[key], delete cache.missing, Object.keys(cache), 'a' in cache,
+     delete arr[1], arr.length, 1 in arr, Object.keys(arr), delete frozen.x, frozen.x, delete 'abc'.length]
+`, [true, true, true, ['c'], false, true, 3, false, ['0', '2'], false, 1, false]);
+
+test('for-in中删除属性与删除原型方法', `
+    const counts = {};
+    for (let i = 0; i < 6; i++) { counts['k' + i] = i; }
+    for (const key in counts) { if (counts[key] % 2) { delete counts[key]; } }
+    class A { m() { return 1; } }
+    const a = new A();
+    [Object.keys(counts), delete a.m, typeof a.m, delete A.prototype.m, typeof a.m]
+`, [['k0', 'k2', 'k4'], true, 'function', true, 'undefined']);
+
+test('for-in不访问遍历中被删除的键', `
+    var o = { a: 1, b: 2, c: 3 }, visited = [], pairs = [];
+    for (var k in o) { visited.push(k); delete o.b; }
+    for (const x in { p: 1, q: 2 }) { for (const y in { r: 1, s: 2 }) { pairs.push(x + y); } }
+    [visited, pairs]
+`, [['a', 'c'], ['pr', 'ps', 'qr', 'qs']]);
+
+test('for-in枚举原型链上继承的可枚举键', `
+    function F() { this.own = 1; }
+    F.prototype.inherited = 2;
+    F.prototype.own = 3;
+    const base = { a: 1, b: 2 };
+    const child = Object.create(base);
+    Object.defineProperty(child, 'a', { value: 0, enumerable: false });
+    child.c = 3;
+    class C { method() {} }
+    const keys = [];
+    for (const k in new F()) keys.push(k);
+    for (const k in child) keys.push(k);
+    for (const k in new C()) keys.push(k);
+    keys
+`, ['own', 'inherited', 'c', 'b']);
+
+test('delete可选链', `
+    const o = { a: 1, b: { c: 2 } };
+    const n = null;
+    [delete o?.a, 'a' in o, delete n?.a, delete n?.b.c, delete o.b?.c, o.b, delete o?.['b'], o]
+`, [true, false, true, true, true, {}, true, {}]);
+
+test('delete未限定的标识符', `
+    var declared = 1;
+    let lexical = 2;
+    implicit = 3;
+    function f(p) { var local; return [delete p, delete local, delete arguments]; }
+    var result = [delete declared, delete lexical, delete implicit, delete neverDefined, f(1)];
+    try { implicit; result.push('kept'); } catch (e) { result.push('deleted'); }
+    result
+`, [false, false, true, true, [false, false, false], 'deleted']);
+
+testError('delete null的属性', `delete null.x`, '无法删除 null 的属性');
+
+// 正则表达式测试
+test('正则表达式字面量每次求值创建新对象', `
+    function countFrom() { const re = /a/g; re.test('aaa'); return re.lastIndex; }
+    const r = /(\\d+)-(\\d+)/;
+    [countFrom(), countFrom(), /x/ === /x/, '10-20'.match(r).slice(1), '1a2b3'.replace(/\\d/g, d => d * 2),
+     'a,b;c'.split(/[,;]/), [...'a1b22c333'.matchAll(/\\d+/g)].map(m => m[0]), r.source, /y/gi.flags]
+`, [1, 1, false, ['10', '20'], '2a4b6', ['a', 'b', 'c'], ['1', '22', '333'], '(\\d+)-(\\d+)', 'gi']);
+
+test('RegExp构造函数', `
+    const re = new RegExp('b+', 'gi');
+    const called = RegExp('c');
+    ['aBbbc'.match(re), called.test('abc'), re instanceof RegExp, /z/ instanceof RegExp, typeof RegExp]
+`, [['Bbb'], true, true, true, 'function']);
+
+test('正则匹配超过时间限制', `
+    const input = 'a'.repeat(40) + 'c';
+    const errors = [];
+    try { input.match('(a+)+b'); } catch (e) { errors.push(e.message); }
+    errors.concat(/a+c/.test(input))
+`, ['正则表达式匹配超过时间限制 (1000ms)', true]);
+
+test('经由原型链得到的RegExp同样受时间限制', `
+    const nativePrototype = Object.getPrototypeOf(Object.getPrototypeOf(/a/));
+    const R = nativePrototype.constructor;
+    const described = Object.getOwnPropertyDescriptor(nativePrototype, 'constructor').value;
+    const errors = [];
+    try { new R('^(a+)+$').test('a'.repeat(40) + '!'); } catch (e) { errors.push(e.message); }
+    try { nativePrototype.exec.call(/^(a+)+$/, 'a'.repeat(40) + '!'); } catch (e) { errors.push(e.message); }
+    [R === RegExp, described === RegExp, nativePrototype.exec === RegExp.prototype.exec, errors]
+`, [true, true, true, ['正则表达式匹配超过时间限制 (1000ms)', '正则表达式匹配超过时间限制 (1000ms)']]);
+
+// Symbol与集合测试
+test('Map与Set', `
+    const m = new Map([['a', 1]]);
+    m.set('b', 2);
+    const out = [];
+    m.forEach((v, k) => out.push(k + v));
+    for (const [k, v] of m) { out.push(k + '=' + v); }
+    const s = new Set([1, 2, 2, 3]);
+    s.add(4);
+    s.delete(1);
+    const scaled = [];
+    s.forEach(function (v) { scaled.push(v * this.k); }, { k: 10 });
+    [out, m.size, [...m.keys()], m.get('b'), [...s], s.size, scaled]
+`, [['a1', 'b2', 'a=1', 'b=2'], 2, ['a', 'b'], 2, [2, 3, 4], 3, [20, 30, 40]]);
+
+test('WeakMap、WeakSet与继承Map', `
+    const key = {};
+    const fnKey = function () {};
+    const wm = new WeakMap([[key, 'obj']]);
+    wm.set(fnKey, 'fn');
+    const ws = new WeakSet([key]);
+    class Counter extends Map { inc(k) { this.set(k, (this.get(k) || 0) + 1); return this; } }
+    const c = new Counter().inc('x').inc('x');
+    [wm.get(key), wm.get(fnKey), wm.has({}), ws.has(key), ws.has(fnKey), c.get('x'), c instanceof Map]
+`, ['obj', 'fn', false, true, false, 2, true]);
+
+test('Symbol与知名符号', `
+    const tag = Symbol('tag');
+    const shared = Symbol.for('app');
+    const o = { [tag]: 1, plain: 2 };
+    class Range { constructor(n) { this.n = n; } *[Symbol.iterator]() { for (let i = 0; i < this.n; i++) { yield i; } } }
+    [typeof tag, tag.toString(), tag.description, Symbol.keyFor(shared), Symbol.for('app') === shared,
+     o[tag], Object.keys(o), tag === Symbol('tag'), [...new Range(3)], typeof Symbol.asyncIterator]
+`, ['symbol', 'Symbol(tag)', 'tag', 'app', true, 1, ['plain'], false, [0, 1, 2], 'symbol']);
+
+// 标准库测试
+test('Math完整函数', `
+    [Math.log(Math.E), Math.exp(0), Math.trunc(-1.5), Math.sign(-3), Math.atan2(0, 1),
+     Math.hypot(3, 4), Math.imul(3, 4), Math.clz32(1), Math.cbrt(27), Math.log2(8)]
+`, [1, 1, -1, -1, 0, 5, 12, 31, 3, 3]);
+
+test('JSON与虚拟机函数', `
+    const o = { a: 1, f: function () {}, list: [1, () => 2], nested: { x: 1, y: 2 } };
+    [JSON.stringify(o), JSON.stringify(o, ['a', 'nested', 'x']),
+     JSON.stringify({ a: 1, b: 2 }, (k, v) => typeof v === 'number' ? v * 10 : v),
+     JSON.parse('{"a":[1,2]}', function (k, v) { return typeof v === 'number' ? v + 1 : v; }).a]
+`, ['{"a":1,"list":[1,null],"nested":{"x":1,"y":2}}', '{"a":1,"nested":{"x":1}}', '{"a":10,"b":20}', [2, 3]]);
+
+test('Date', `
+    const d = new Date(Date.UTC(2020, 1, 29));
+    [d.toISOString(), d.getUTCDate(), new Date(0).getTime(), typeof Date.now()]
+`, ['2020-02-29T00:00:00.000Z', 29, 0, 'number']);
+
+test('Error类型与继承', `
+    const caught = [];
+    try { null.x; } catch (e) { caught.push(e instanceof TypeError); }
+    try { missing; } catch (e) { caught.push(e instanceof ReferenceError); }
+    try { [].length = -1; } catch (e) { caught.push(e.name); }
+    class HttpError extends Error {
+        constructor(status) { super('HTTP ' + status); this.name = 'HttpError'; this.status = status; }
+    }
+    const h = new HttpError(404);
+    const r = new RangeError('r');
+    [caught, h.message, h.status, h instanceof HttpError, h instanceof Error, String(h),
+     r instanceof RangeError, r instanceof Error, Error('plain').message]
+`, [[true, true, 'RangeError'], 'HTTP 404', 404, true, true, 'HttpError: HTTP 404', true, true, 'plain']);
+
+test('Reflect、Proxy与类型化数组', `
+    const log = [];
+    const p = new Proxy({ a: 1 }, {
+        get(target, key) { log.push(key); return key in target ? target[key] : 0; },
+        has: (target, key) => key === 'hidden'
+    });
+    const bytes = new Uint8Array(new ArrayBuffer(4));
+    new DataView(bytes.buffer).setUint16(0, 258);
+    [p.a, p.b, 'hidden' in p, 'a' in p, log, Reflect.apply(function (n) { return this.x + n; }, { x: 1 }, [2]),
+     Reflect.ownKeys({ k: 1 }), [...bytes], globalThis.Math === Math, typeof BigInt(1)]
+`, [1, 0, true, false, ['a', 'b'], 3, ['k'], [1, 2, 0, 0], true, 'bigint']);
+
+testError('不提供Function构造函数', 'Function("return 1")', '未定义的变量: Function');
+test('宿主函数的constructor不是Function构造函数', `
+    const fromDescriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Math.abs), 'constructor').value;
+    [typeof Math.abs.constructor, typeof [].map.constructor, typeof fromDescriptor, typeof Reflect.get(Math.abs, 'constructor')]
+`, ['undefined', 'undefined', 'undefined', 'undefined']);
+test('super和宿主返回的容器中也得不到Function构造函数', `
+    class A extends Object { static f() { return super.constructor; } }
+    const FunctionPrototype = Object.getPrototypeOf(Object);
+    const values = Object.values(Object.getOwnPropertyDescriptor(FunctionPrototype, 'constructor'));
+    const all = Object.getOwnPropertyDescriptors(FunctionPrototype);
+    [typeof A.f(), typeof values[0], typeof all.constructor.value, Object.values({ a: [1] })]
+`, ['undefined', 'undefined', 'undefined', [[1]]]);
+testError('不能经由宿主函数转交Function构造函数', `
+    const args = Object.values(Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Object), 'constructor')).slice(0, 1);
+    Reflect.apply(Reflect.construct, null, args.concat([['return 1']]));
+`, 'is not a constructor');
+test('minimal配置中宿主函数的constructor', 'typeof [].map.constructor', 'undefined', {}, { profile: 'minimal' });
+test('JSON调用虚拟机函数实现的toJSON', `
+    class Point { constructor(x) { this.x = x; } toJSON() { return 'P' + this.x; } }
+    [JSON.stringify({ toJSON() { return 'x'; } }), JSON.stringify({ p: new Point(1) })]
+`, ['"x"', '{"p":"P1"}']);
+test('minimal配置的正则表达式字面量', "[/a+/.test('caab'), 'x-y'.split(/-/)]", [true, ['x', 'y']], {}, { profile: 'minimal' });
+testError('minimal配置没有Math', 'Math.abs(-1)', '未定义的变量: Math', { profile: 'minimal' });
+test('es5配置', "[JSON.stringify([1]), new Date(0).getTime(), typeof new Error('e')]", ['[1]', 0, 'object'], {}, { profile: 'es5' });
+testError('es5配置没有Map', 'new Map()', '未定义的变量: Map', { profile: 'es5' });
+testError('未知的标准库配置', '1', '未知的标准库配置: es6', { profile: 'es6' });
+
+// 宿主回调测试
+test('宿主数组方法回调虚拟机函数', `
+    var people = [{ name: 'b', age: 30 }, { name: 'a', age: 20 }, { name: 'c', age: 25 }];
+    var sorted = people.slice().sort((x, y) => x.age - y.age).map(p => p.name);
+    var total = people.filter(function (p) { return p.age > 21; }).reduce((sum, p) => sum + p.age, 0);
+    function* ids() { yield 1; yield 2; }
+    [sorted, total, Array.from(ids()), [1, 2].map(function (x) { return this.k * x; }, { k: 3 })]
+`, [['a', 'c', 'b'], 55, [1, 2], [3, 6]]);
+
+test('宿主回调的异常双向传播', `
+    var log = [];
+    try { [1, 2].forEach(x => { if (x === 2) throw 'vm-' + x; log.push(x); }); } catch (e) { log.push(e); }
+    try { each([1], () => hostFail()); } catch (e) { log.push(e.message); }
+    log.push(each([1, 2], x => { try { hostFail(); } catch (e) { return x; } }).join(','));
+    log
+`, [1, 'vm-2', 'host bad', '1,2'], {
+    each: (list, cb) => list.map(x => cb(x)),
+    hostFail: () => { throw new TypeError('host bad'); }
+});
+
+test('虚拟机函数在宿主中保持同一身份', `
+    function f() {}
+    Object.assign(f, { a: 1 });
+    Object.defineProperty(f, 'b', { value: 2 });
+    store(f);
+    [[f].includes(f), [f].indexOf(f), new Set([f]).has(f), load() === f, f.a, f.b, f.name, typeof load()]
+`, [true, 0, true, true, 1, 2, 'f', 'function'], (() => {
+    let stored;
+    return { store: value => { stored = value; }, load: () => stored };
+})());
+
+test('宿主调用属性中的虚拟机函数', `
+    class P { toString() { return 'P'; } }
+    const iterable = { *[Symbol.iterator]() { yield ['k', 1]; } };
+    const o = Object.defineProperty({}, 'x', { get() { return 7; } });
+    const c = Object.create({}, { y: { get() { return this === c; } } });
+    ['' + { toString() { return 'X'; } }, \`\${new P()}\`, { valueOf() { return 41; } } + 1,
+     Array.from(iterable), new Map(iterable).get('k'), o.x, c.y, JSON.stringify({ toJSON() { return 'j'; } })]
+`, ['X', 'P', 42, [['k', 1]], 1, 7, true, '"j"']);
+
+test('宿主构造虚拟机函数和类', `
+    function Point(x) { this.x = x; }
+    class Base { constructor(v) { this.v = v; } }
+    class Derived extends Base { constructor() { super(2); } }
+    const p = make(Point, 1);
+    const d = Reflect.construct(Derived, []);
+    const errors = [];
+    try { make(() => 1); } catch (e) { errors.push(e instanceof TypeError); }
+    try { make({ m() {} }.m); } catch (e) { errors.push(e instanceof TypeError); }
+    [p.x, p instanceof Point, d.v, d instanceof Base, d.constructor === Derived, errors]
+`, [1, true, 2, true, true, [true, true]], { make: (C, ...args) => new C(...args) });
+
+testError('宿主回调嵌套层数受限制', `
+    function deep(n) { return n === 0 ? 0 : [n].map(x => deep(x - 1))[0] + 1; }
+    deep(500)
+`, '宿主回调嵌套层数超过限制');
+
+testAsync('宿主在脚本结束后调用虚拟机函数', `
+    var log = [];
+    function tick(label) { log.push(label); }
+    later(() => tick('timer'));
+    tick('sync');
+    later(() => log)
+`, ['sync', 'timer'], { later: fn => new Promise(resolve => setTimeout(() => resolve(fn()), 1)) });
+
+// async/await测试
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+const fail = message => Promise.reject(new Error(message));
+
+testAsync('await宿主Promise与runAsync', `
+    async function add(a, b) { var x = await a; var y = await delay(5, b); return x + y; }
+    class Loader { async load() { return [await add(1, 2), await (async x => (await x) * 2)(delay(1, 4))]; } }
+    new Loader().load()
+`, [3, 8], { delay });
+
+testAsync('await拒绝的Promise与异常传播', `
+    async function rejects() { await fail('bad'); }
+    async function throwsValue() { throw 'oops'; }
+    async function main() {
+        var log = [];
+        try { await rejects(); } catch (e) { log.push(e.message); }
+        try { await throwsValue(); } catch (e) { log.push(e); }
+        try { await delay(1); return log; } finally { log.push('finally'); }
+    }
+    main()
+`, ['bad', 'oops', 'finally'], { delay, fail });
+
+testAsync('恢复后超过指令数量限制时拒绝async函数的Promise', `
+    async function spin() { await 1; while (true) {} }
+    spin().catch(e => e.message)
+`, '执行指令数量超过限制 (200000)，可能存在死循环');
+
+testAsync('await之后的宿主回调不重新计算指令数量限制', `
+    async function f() { await w(); while (true) { [1].forEach(function () {}); } }
+    f().catch(e => e.message)
+`, '执行指令数量超过限制 (200000)，可能存在死循环', { w: () => Promise.resolve() });
+
+test('未处理的async函数拒绝不影响宿主进程', `
+    async function f() { throw new Error('x'); }
+    f();
+    1
+`, 1);
+
+test('微任务队列按确定顺序清空', `
+    var log = [];
+    async function a() { log.push('a1'); await null; log.push('a2'); await null; log.push('a3'); }
+    async function b() { log.push('b1'); await null; log.push('b2'); }
+    a(); b(); log.push('sync');
+    log
+`, ['a1', 'b1', 'sync', 'a2', 'b2', 'a3']);
+
+(async () => {
+    for (const runTest of asyncTests) {
+        await runTest();
+    }
+    
+    console.log(`\n📊 测试结果: ${passed} 通过, ${failed} 失败`);
+    
+    if (failed === 0) {
+        console.log('🎉 所有测试通过！');
+        process.exit(0);
+    } else {
+        console.log('💥 有测试失败！');
+        process.exit(1);
+    }
+})(); 
\ No newline at end of file
@@ -6,6 +6,14 @@ declare module 'jsvmp' {
    */
   export type DebugLevel = 'basic' | 'detail' | 'verbose';
 
+  /**
+   * 标准库配置，后一项包含前一项的全部内置对象
+   * - minimal: undefined、NaN、Infinity与Object、Array、String、Number、Boolean
+   * - es5: 再加上Math、JSON、Date、RegExp、Error系列、全局函数和console等
+   * - es2020: 再加上Symbol、集合、Promise、Reflect、Proxy、BigInt、类型化数组与globalThis
+   */
+  export type StdlibProfile = 'minimal' | 'es5' | 'es2020';
+
   /**
    * 外部变量上下文类型
    */
@@ -115,8 +123,9 @@ declare module 'jsvmp' {
   export class JSVMP {
     /**
      * 创建JSVMP虚拟机实例
+     * @param options 选项，profile选择注入的标准库（默认es2020）
      */
-    constructor();
+    constructor(options?: Pick<JSVMPOptions, 'profile'>);
 
     // ========== 核心执行方法 ==========
 
@@ -148,6 +157,27 @@ declare module 'jsvmp' {
      */
     run(code: string, context?: ExecutionContext): any;
 
+    /**
+     * 编译并执行JavaScript代码，返回结果的Promise
+     * 脚本同步部分执行完后清空虚拟机的微任务队列；结果为Promise（如调用async函数）时等待其兑现
+     * @param code JavaScript源代码字符串
+     * @param context 外部变量上下文，所有属性会成为虚拟机的全局变量
+     * @returns 执行结果的Promise，脚本抛出异常或结果Promise被拒绝时拒绝
+     * 
+     * @example
+     * ```typescript
+     * const vm = new JSVMP();
+     * const user = await vm.runAsync(`
+     *   async function load(id) {
+     *     const data = await fetchUser(id);
+     *     return data.name;
+     *   }
+     *   load(1);
+     * `, { fetchUser: (id: number) => Promise.resolve({ name: "张三" }) }); // "张三"
+     * ```
+     */
+    runAsync(code: string, context?: ExecutionContext): Promise<any>;
+
     /**
      * 仅编译代码，不执行
      * @param code JavaScript源代码字符串
@@ -237,6 +267,18 @@ declare module 'jsvmp' {
      */
     setMaxInstructions(maxInstructions: number): void;
 
+    /**
+     * 设置单次正则表达式匹配的最长时间（防止灾难性回溯）
+     * @param milliseconds 毫秒数，默认1000，0表示不限制
+     * 
+     * @example
+     * ```typescript
+     * const vm = new JSVMP();
+     * vm.setMaxRegExpTime(100); // 单次匹配超过100毫秒时抛出RangeError
+     * ```
+     */
+    setMaxRegExpTime(milliseconds: number): void;
+
     /**
      * 重置虚拟机状态，清空所有变量和状态
      * 
@@ -322,6 +364,8 @@ declare module 'jsvmp' {
     debugSymbols?: boolean;
     /** 初始调试级别 */
     debugLevel?: DebugLevel;
+    /** 标准库配置 */
+    profile?: StdlibProfile;
   }
 
   /**